@@ -4,6 +4,13 @@ import cookieParser from "cookie-parser";
 
 const app = express();
 
+// Behind a reverse proxy / load balancer, trust its X-Forwarded-For header so `req.ip`
+// is the real client address (rate limits are counted per IP)
+if (process.env.TRUST_PROXY) {
+    const trustProxy = Number(process.env.TRUST_PROXY);
+    app.set("trust proxy", Number.isNaN(trustProxy) ? process.env.TRUST_PROXY : trustProxy);
+}
+
 // Enable Cross-Origin Resource Sharing (CORS) for your Express app
 // This allows your backend to accept requests from a different origin (domain/port), which is common in frontend-backend setups
 
@@ -13,7 +20,9 @@ app.use(cors({
     origin: process.env.CORS_ORIGIN,
     // Allow cookies and other credentials (like Authorization headers) to be included in cross-origin requests
     // This is important when you're using sessions or JWT stored in cookies
-    credentials: true
+    credentials: true,
+    // Let browsers read the progress headers of resumable uploads (see upload.controller.js)
+    exposedHeaders: ["Location", "Upload-Offset", "Upload-Length", "Upload-Expires"]
 }));
 
 // Parses incoming JSON requests and puts the parsed data in req.body
@@ -36,7 +45,34 @@ app.use(cookieParser());
 
 
 import userRouter from "./routes/user.routes.js";
+import videoRouter from "./routes/video.routes.js";
+import uploadRouter from "./routes/upload.routes.js";
+import feedRouter from "./routes/feed.routes.js";
+import commentRouter from "./routes/comment.routes.js";
+import likeRouter from "./routes/like.routes.js";
+import playlistRouter from "./routes/playlist.routes.js";
+import postRouter from "./routes/post.routes.js";
+import dashboardRouter from "./routes/dashboard.routes.js";
+import adminRouter from "./routes/admin.routes.js";
 
 app.use("/api/v1/users", userRouter);
+app.use("/api/v1/videos", videoRouter);
+app.use("/api/v1/uploads", uploadRouter);
+app.use("/api/v1/feed", feedRouter);
+app.use("/api/v1/comments", commentRouter);
+app.use("/api/v1/likes", likeRouter);
+app.use("/api/v1/playlists", playlistRouter);
+app.use("/api/v1/posts", postRouter);
+app.use("/api/v1/dashboard", dashboardRouter);
+app.use("/api/v1/admin", adminRouter);
+
+import { errorHandler, notFoundHandler } from "./middlewares/error.middleware.js";
+
+// Any request that reached this point did not match a route -> 404 in the standard JSON shape
+app.use(notFoundHandler);
+
+// Final error handler: turns every error passed to next() (e.g., ApiError thrown inside asyncHandler)
+// into a JSON response instead of Express's default HTML error page
+app.use(errorHandler);
 
 export { app };
\ No newline at end of file
@@ -1 +1,15 @@
-export const DB_NAME = "node_express_backend";
\ No newline at end of file
+export const DB_NAME = "node_express_backend";
+
+// Folder where multer writes uploads until a controller stores them (see utils/storage)
+export const TEMP_UPLOAD_DIR = "./public/temp";
+
+// Folder where uploads wait for background processing (not served, and not swept like the temp folder)
+// Every app instance running a job worker must see the same folder (e.g. a shared volume)
+export const PENDING_UPLOAD_DIR = "./uploads/pending";
+
+// Folder where resumable uploads are assembled chunk by chunk (see upload.controller.js)
+// Files of abandoned uploads are removed by the sweeper started in index.js
+export const RESUMABLE_UPLOAD_DIR = "./uploads/sessions";
+
+// Folder where the local storage driver keeps files that must not be served as static files (videos)
+export const PRIVATE_STORAGE_DIR = "./uploads/storage";
@@ -0,0 +1,298 @@
+// asyncHandler wraps async controllers and forwards any thrown error to Express via next()
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User, USER_ROLES } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Session } from "../models/session.model.js";
+import { SecurityEvent } from "../models/securityEvent.model.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+
+// Fields of a user that staff can see (never the password or 2FA secrets)
+const ADMIN_USER_FIELDS = {
+    username: 1,
+    email: 1,
+    fullName: 1,
+    avatar: 1,
+    role: 1,
+    emailVerified: 1,
+    twoFactorEnabled: 1,
+    suspendedAt: 1,
+    suspensionReason: 1,
+    createdAt: 1
+};
+
+// Position of a role in USER_ROLES: the higher, the more privileged
+const roleRank = (role) => USER_ROLES.indexOf(role);
+
+// Helper to load a user that the acting staff member is allowed to manage:
+// nobody can act on their own account or on someone with the same or a higher role
+const findManageableUser = async (userId, actor) => {
+    const user = await User.findById(userId).select(Object.keys(ADMIN_USER_FIELDS).join(" "));
+
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    if (user._id.toString() === actor._id.toString()) {
+        throw new ApiError(400, "You cannot perform this action on your own account");
+    }
+
+    if (roleRank(user.role) >= roleRank(actor.role)) {
+        throw new ApiError(403, "You are not allowed to manage this user");
+    }
+
+    return user;
+};
+
+// Controller to list and search users (paginated, newest first)
+// Optional filters: `query` (username, e-mail or full name), `role`, `suspended=true|false`
+// (their values are checked by `validate(getUsersSchema)`)
+const getUsers = asyncHandler(async (req, res) => {
+    const { query, role, suspended } = req.query;
+
+    const filters = [];
+
+    if (query?.trim()) {
+        const pattern = new RegExp(escapeRegex(query.trim()), "i");
+        filters.push({ $or: [{ username: pattern }, { email: pattern }, { fullName: pattern }] });
+    }
+
+    if (role) {
+        filters.push({ role });
+    }
+
+    if (suspended) {
+        filters.push(suspended === "true" ? { suspendedAt: { $ne: null } } : { suspendedAt: null });
+    }
+
+    const aggregate = User.aggregate([
+        {
+            $match: filters.length ? { $and: filters } : {}
+        },
+        {
+            $sort: { createdAt: -1, _id: -1 }
+        },
+        {
+            // Accounts older than e-mail verification have no emailVerified field and count as verified
+            $project: { ...ADMIN_USER_FIELDS, emailVerified: { $ne: ["$emailVerified", false] } }
+        }
+    ]);
+
+    const users = await User.aggregatePaginate(aggregate, {
+        ...getPaginationOptions(req.query),
+        customLabels: {
+            docs: "users",
+            totalDocs: "totalUsers"
+        }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, users, "Users fetched successfully"));
+});
+
+// Controller to fetch one user with a few numbers useful for moderation
+const getUserById = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    // Not lean: the document applies the emailVerified default of accounts older than e-mail verification
+    const user = await User.findById(userId).select(Object.keys(ADMIN_USER_FIELDS).join(" "));
+
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    const [activeSessionsCount, videosCount] = await Promise.all([
+        Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+        Video.countDocuments({ owner: user._id })
+    ]);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { ...user.toJSON(), activeSessionsCount, videosCount }, "User fetched successfully"));
+});
+
+// Controller to suspend an account: the user is logged out everywhere and cannot log in again
+const suspendUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const reason = req.body?.reason?.trim() || null;
+
+    await findManageableUser(userId, req.user);
+
+    // Conditional update so a concurrent request cannot suspend the same account twice
+    const user = await User.findOneAndUpdate(
+        { _id: userId, suspendedAt: null },
+        { $set: { suspendedAt: new Date(), suspensionReason: reason } },
+        { new: true }
+    ).select(Object.keys(ADMIN_USER_FIELDS).join(" "));
+
+    if (!user) {
+        throw new ApiError(409, "User is already suspended");
+    }
+
+    // Existing sessions would otherwise keep working until their refresh tokens expire
+    await Session.revokeAllForUser(user._id, "suspended");
+
+    await SecurityEvent.record("account_suspended", req, {
+        user: user._id,
+        actor: req.user._id,
+        details: { reason }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, "User suspended successfully"));
+});
+
+// Controller to lift a suspension
+const unsuspendUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    await findManageableUser(userId, req.user);
+
+    const user = await User.findOneAndUpdate(
+        { _id: userId, suspendedAt: { $ne: null } },
+        { $set: { suspendedAt: null, suspensionReason: null } },
+        { new: true }
+    ).select(Object.keys(ADMIN_USER_FIELDS).join(" "));
+
+    if (!user) {
+        throw new ApiError(409, "User is not suspended");
+    }
+
+    await SecurityEvent.record("account_unsuspended", req, {
+        user: user._id,
+        actor: req.user._id
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, "User unsuspended successfully"));
+});
+
+// Controller to log a user out of every device
+const forceLogoutUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    const user = await findManageableUser(userId, req.user);
+
+    const result = await Session.revokeAllForUser(user._id, "forced_logout");
+
+    await SecurityEvent.record("forced_logout", req, {
+        user: user._id,
+        actor: req.user._id,
+        details: { revokedSessions: result.modifiedCount }
+    });
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { revokedSessions: result.modifiedCount },
+                "User logged out of all devices"
+            )
+        );
+});
+
+// Controller to change a user's role (admins only)
+const changeUserRole = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    const user = await findManageableUser(userId, req.user);
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await SecurityEvent.record("role_changed", req, {
+        user: user._id,
+        actor: req.user._id,
+        details: { from: previousRole, to: role }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, "User role updated successfully"));
+});
+
+// Controller to take a video down (unpublish it) for moderation reasons
+const unpublishVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+    const reason = req.body?.reason?.trim() || null;
+
+    const video = await Video.findById(videoId);
+
+    if (!video) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    if (video.moderatedAt) {
+        throw new ApiError(409, "Video is already taken down");
+    }
+
+    // The moderation flag keeps the owner from simply publishing it again
+    video.isPublished = false;
+    video.moderatedAt = new Date();
+    video.moderatedBy = req.user._id;
+    video.moderationReason = reason;
+    await video.save();
+
+    await SecurityEvent.record("video_unpublished", req, {
+        user: video.owner,
+        actor: req.user._id,
+        details: { video: video._id, reason }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { isPublished: video.isPublished, moderatedAt: video.moderatedAt }, "Video unpublished"));
+});
+
+// Controller to lift a moderation takedown and publish the video again
+const restoreVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+    const reason = req.body?.reason?.trim() || null;
+
+    const video = await Video.findById(videoId);
+
+    if (!video) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    if (!video.moderatedAt) {
+        throw new ApiError(409, "Video was not taken down");
+    }
+
+    // Takedowns only apply to published videos, so restoring publishes it again
+    video.isPublished = true;
+    video.moderatedAt = null;
+    video.moderatedBy = null;
+    video.moderationReason = null;
+    await video.save();
+
+    await SecurityEvent.record("video_restored", req, {
+        user: video.owner,
+        actor: req.user._id,
+        details: { video: video._id, reason }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { isPublished: video.isPublished, moderatedAt: video.moderatedAt }, "Video restored"));
+});
+
+export {
+    getUsers,
+    getUserById,
+    suspendUser,
+    unsuspendUser,
+    forceLogoutUser,
+    changeUserRole,
+    unpublishVideo,
+    restoreVideo
+};
@@ -0,0 +1,236 @@
+// asyncHandler wraps async controllers and forwards any thrown error to Express via next()
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Comment } from "../models/comment.model.js";
+import { Video, PUBLIC_VIDEO_FILTER } from "../models/video.model.js";
+import { Like, reactionSummaryStages } from "../models/like.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+
+// Ways a client can sort the comments of a video (COMMENT_SORT_OPTIONS in comment.validate.js)
+const COMMENT_SORTS = {
+    newest: { createdAt: -1, _id: -1 },
+    top: { likesCount: -1, replyCount: -1, createdAt: -1, _id: -1 }
+};
+
+// Helper to load a video that the current user is allowed to see
+// Unpublished (or still processing) videos can only be commented on / read by their owner
+const findVisibleVideo = async (videoId, user) => {
+    const video = await Video.findById(videoId).select("owner isPublished status");
+
+    const isOwner = video?.owner?.toString() === user?._id?.toString();
+    if (!video || (!(video.isPublished && video.status === "ready") && !isOwner)) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    return video;
+};
+
+// Helper to load a comment by id
+const findComment = async (commentId) => {
+    const comment = await Comment.findById(commentId);
+
+    if (!comment) {
+        throw new ApiError(404, "Comment not found");
+    }
+
+    return comment;
+};
+
+// Aggregation stages that add the author's public profile, the number of replies
+// and the like/dislike counts (plus the viewer's own reaction) to each comment
+const commentDetailsStages = (viewerId) => [
+    {
+        // Author info, same projection as the watch history owner lookup
+        $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "owner",
+            pipeline: [
+                {
+                    $project: {
+                        fullName: 1,
+                        username: 1,
+                        avatar: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        // Count the replies without loading them
+        $lookup: {
+            from: "comments",
+            localField: "_id",
+            foreignField: "parentComment",
+            as: "replies",
+            pipeline: [{ $count: "count" }]
+        }
+    },
+    {
+        $addFields: {
+            owner: { $first: "$owner" },
+            replyCount: { $ifNull: [{ $first: "$replies.count" }, 0] }
+        }
+    },
+    {
+        $project: { replies: 0 }
+    },
+    ...reactionSummaryStages("Comment", viewerId)
+];
+
+// Controller to list the top-level comments of a video (paginated)
+const getVideoComments = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+    const { sortBy = "newest" } = req.query;
+
+    const video = await findVisibleVideo(videoId, req.user);
+
+    const aggregate = Comment.aggregate([
+        {
+            // Only top-level comments of this video; replies are fetched separately
+            $match: { video: video._id, parentComment: null }
+        },
+        ...commentDetailsStages(req.user?._id),
+        {
+            $sort: COMMENT_SORTS[sortBy]
+        }
+    ]);
+
+    const comments = await Comment.aggregatePaginate(aggregate, {
+        ...getPaginationOptions(req.query),
+        customLabels: {
+            docs: "comments",
+            totalDocs: "totalComments"
+        }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, comments, "Comments fetched successfully"));
+});
+
+// Controller to list the replies of a comment (paginated, oldest first like a conversation)
+const getCommentReplies = asyncHandler(async (req, res) => {
+    const { commentId } = req.params;
+
+    const comment = await findComment(commentId);
+    await findVisibleVideo(comment.video, req.user);
+
+    const aggregate = Comment.aggregate([
+        {
+            $match: { parentComment: comment._id }
+        },
+        {
+            $sort: { createdAt: 1, _id: 1 }
+        },
+        ...commentDetailsStages(req.user?._id)
+    ]);
+
+    const replies = await Comment.aggregatePaginate(aggregate, {
+        ...getPaginationOptions(req.query),
+        customLabels: {
+            docs: "replies",
+            totalDocs: "totalReplies"
+        }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, replies, "Replies fetched successfully"));
+});
+
+// Controller to add a comment (or a reply to a comment) on a video
+const addComment = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+    const { content, parentCommentId } = req.body;
+
+    const video = await findVisibleVideo(videoId, req.user);
+
+    let parentComment = null;
+
+    if (parentCommentId) {
+        parentComment = await findComment(parentCommentId);
+
+        // The parent must belong to the same video
+        if (parentComment.video.toString() !== video._id.toString()) {
+            throw new ApiError(400, "Parent comment does not belong to this video");
+        }
+
+        // Only one level of replies is supported
+        if (parentComment.parentComment) {
+            throw new ApiError(400, "Cannot reply to a reply");
+        }
+    }
+
+    const comment = await Comment.create({
+        content: content.trim(),
+        video: video._id,
+        owner: req.user._id,
+        parentComment: parentComment?._id ?? null
+    });
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, comment, "Comment added successfully"));
+});
+
+// Controller to edit a comment; only its author may do this
+const updateComment = asyncHandler(async (req, res) => {
+    const { commentId } = req.params;
+    const { content } = req.body;
+
+    const comment = await findComment(commentId);
+
+    if (comment.owner.toString() !== req.user._id.toString()) {
+        throw new ApiError(403, "You are not allowed to edit this comment");
+    }
+
+    comment.content = content.trim();
+    await comment.save();
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, comment, "Comment updated successfully"));
+});
+
+// Controller to delete a comment; the author or the owner of the video may do this
+const deleteComment = asyncHandler(async (req, res) => {
+    const { commentId } = req.params;
+
+    const comment = await findComment(commentId);
+
+    const isAuthor = comment.owner.toString() === req.user._id.toString();
+
+    if (!isAuthor) {
+        const video = await Video.findById(comment.video).select("owner");
+        const isVideoOwner = video?.owner?.toString() === req.user._id.toString();
+
+        if (!isVideoOwner) {
+            throw new ApiError(403, "You are not allowed to delete this comment");
+        }
+    }
+
+    // Deleting a top-level comment removes its replies as well
+    const filter = { $or: [{ _id: comment._id }, { parentComment: comment._id }] };
+    const commentIds = await Comment.find(filter).distinct("_id");
+
+    await Comment.deleteMany({ _id: { $in: commentIds } });
+
+    // Reactions on the removed comments are no longer needed
+    await Like.deleteMany({ targetType: "Comment", target: { $in: commentIds } });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Comment deleted successfully"));
+});
+
+export {
+    getVideoComments,
+    getCommentReplies,
+    addComment,
+    updateComment,
+    deleteComment
+};
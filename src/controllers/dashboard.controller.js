@@ -0,0 +1,172 @@
+// asyncHandler wraps async controllers and forwards any thrown error to Express via next()
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import mongoose from "mongoose";
+
+// Milliseconds in one day, used to compute the growth windows
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Controller returning aggregate statistics for the logged-in creator's channel
+const getChannelStats = asyncHandler(async (req, res) => {
+    const channelId = new mongoose.Types.ObjectId(req.user._id);
+    const now = Date.now();
+    const last7Days = new Date(now - 7 * DAY_MS);
+    const last30Days = new Date(now - 30 * DAY_MS);
+
+    // Videos, views and likes are summed inside MongoDB; likes are counted per video
+    // in the lookup so individual like documents are never loaded
+    const [videoStats] = await Video.aggregate([
+        {
+            $match: { owner: channelId }
+        },
+        {
+            $lookup: {
+                from: "likes",
+                localField: "_id",
+                foreignField: "target",
+                as: "likes",
+                pipeline: [
+                    { $match: { targetType: "Video", reaction: "like" } },
+                    { $count: "count" }
+                ]
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                totalVideos: { $sum: 1 },
+                totalViews: { $sum: "$views" },
+                totalLikes: {
+                    $sum: { $ifNull: [{ $first: "$likes.count" }, 0] }
+                }
+            }
+        }
+    ]);
+
+    // Subscriber totals and growth based on when each subscription was created
+    const [subscriberStats] = await Subscription.aggregate([
+        {
+            $match: { channel: channelId }
+        },
+        {
+            $facet: {
+                totals: [
+                    {
+                        $group: {
+                            _id: null,
+                            totalSubscribers: { $sum: 1 },
+                            last7Days: {
+                                $sum: { $cond: [{ $gte: ["$createdAt", last7Days] }, 1, 0] }
+                            },
+                            last30Days: {
+                                $sum: { $cond: [{ $gte: ["$createdAt", last30Days] }, 1, 0] }
+                            }
+                        }
+                    }
+                ],
+                // New subscribers per day over the last 30 days (days without any are omitted)
+                daily: [
+                    { $match: { createdAt: { $gte: last30Days } } },
+                    {
+                        $group: {
+                            _id: {
+                                $dateToString: { format: "%Y-%m-%d", date: "$createdAt" }
+                            },
+                            count: { $sum: 1 }
+                        }
+                    },
+                    { $sort: { _id: 1 } },
+                    { $project: { _id: 0, date: "$_id", count: 1 } }
+                ]
+            }
+        }
+    ]);
+
+    const totals = subscriberStats?.totals?.[0];
+
+    const stats = {
+        totalVideos: videoStats?.totalVideos ?? 0,
+        totalViews: videoStats?.totalViews ?? 0,
+        totalLikes: videoStats?.totalLikes ?? 0,
+        totalSubscribers: totals?.totalSubscribers ?? 0,
+        subscriberGrowth: {
+            last7Days: totals?.last7Days ?? 0,
+            last30Days: totals?.last30Days ?? 0,
+            daily: subscriberStats?.daily ?? []
+        }
+    };
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, stats, "Channel stats fetched successfully"));
+});
+
+// Controller listing every video of the logged-in creator (published or not)
+// with per-video view, like and comment counts (paginated)
+const getChannelVideos = asyncHandler(async (req, res) => {
+    const channelId = new mongoose.Types.ObjectId(req.user._id);
+
+    const aggregate = Video.aggregate([
+        {
+            $match: { owner: channelId }
+        },
+        {
+            $sort: { createdAt: -1, _id: -1 }
+        },
+        {
+            // Count likes without loading them
+            $lookup: {
+                from: "likes",
+                localField: "_id",
+                foreignField: "target",
+                as: "likes",
+                pipeline: [
+                    { $match: { targetType: "Video", reaction: "like" } },
+                    { $count: "count" }
+                ]
+            }
+        },
+        {
+            // Count comments (including replies) without loading them
+            $lookup: {
+                from: "comments",
+                localField: "_id",
+                foreignField: "video",
+                as: "comments",
+                pipeline: [{ $count: "count" }]
+            }
+        },
+        {
+            $project: {
+                title: 1,
+                thumbnail: 1,
+                duration: 1,
+                isPublished: 1,
+                // Videos uploaded before processing existed have no status; they are ready
+                status: { $ifNull: ["$status", "ready"] },
+                createdAt: 1,
+                views: 1,
+                likesCount: { $ifNull: [{ $first: "$likes.count" }, 0] },
+                commentsCount: { $ifNull: [{ $first: "$comments.count" }, 0] }
+            }
+        }
+    ]);
+
+    const videos = await Video.aggregatePaginate(aggregate, {
+        ...getPaginationOptions(req.query),
+        customLabels: {
+            docs: "videos",
+            totalDocs: "totalVideos"
+        }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, videos, "Channel videos fetched successfully"));
+});
+
+export { getChannelStats, getChannelVideos };
@@ -0,0 +1,137 @@
+// asyncHandler wraps async controllers and forwards any thrown error to Express via next()
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Subscription } from "../models/subscription.model.js";
+import { PUBLIC_VIDEO_FILTER, HIDDEN_VIDEO_FIELDS } from "../models/video.model.js";
+import mongoose, { isValidObjectId } from "mongoose";
+
+// Default and maximum number of videos returned per feed page
+const DEFAULT_FEED_LIMIT = 20;
+const MAX_FEED_LIMIT = 50;
+
+// Encode the position of the last returned video into an opaque cursor string
+const encodeCursor = (video) =>
+    Buffer.from(
+        JSON.stringify({ createdAt: video.createdAt, _id: video._id })
+    ).toString("base64url");
+
+// Decode a cursor received from the client back into { createdAt, _id }
+// Throws a 400 if the cursor was tampered with or is malformed
+const decodeCursor = (cursor) => {
+    try {
+        const { createdAt, _id } = JSON.parse(
+            Buffer.from(cursor, "base64url").toString("utf8")
+        );
+        const date = new Date(createdAt);
+
+        if (Number.isNaN(date.getTime()) || !isValidObjectId(_id)) {
+            throw new Error("Malformed cursor");
+        }
+
+        return { createdAt: date, _id: new mongoose.Types.ObjectId(_id) };
+    } catch (error) {
+        throw new ApiError(400, "Invalid cursor");
+    }
+};
+
+// Controller to list the latest published videos from every channel the user follows
+const getSubscriptionFeed = asyncHandler(async (req, res) => {
+    const { cursor } = req.query;
+    const limit = Math.min(
+        Math.max(parseInt(req.query.limit, 10) || DEFAULT_FEED_LIMIT, 1),
+        MAX_FEED_LIMIT
+    );
+
+    // Videos strictly older than the cursor (createdAt, then _id as a tie-breaker)
+    const after = cursor ? decodeCursor(cursor) : null;
+    const cursorMatch = after
+        ? {
+              $or: [
+                  { createdAt: { $lt: after.createdAt } },
+                  { createdAt: after.createdAt, _id: { $lt: after._id } }
+              ]
+          }
+        : {};
+
+    const videos = await Subscription.aggregate([
+        {
+            // All channels the logged-in user is subscribed to
+            $match: {
+                subscriber: new mongoose.Types.ObjectId(req.user._id)
+            }
+        },
+        {
+            // Join each followed channel with its newest published (and ready) videos.
+            // Every channel contributes at most `limit + 1` videos, which is all a single page can need
+            $lookup: {
+                from: "videos",
+                localField: "channel",
+                foreignField: "owner",
+                as: "video",
+                pipeline: [
+                    { $match: { ...PUBLIC_VIDEO_FILTER, ...cursorMatch } },
+                    { $unset: HIDDEN_VIDEO_FIELDS },
+                    { $sort: { createdAt: -1, _id: -1 } },
+                    { $limit: limit + 1 }
+                ]
+            }
+        },
+        {
+            // One document per video
+            $unwind: "$video"
+        },
+        {
+            $replaceRoot: { newRoot: "$video" }
+        },
+        {
+            // Merge the videos of all channels, newest first
+            $sort: { createdAt: -1, _id: -1 }
+        },
+        {
+            // Fetch one extra video to know whether another page exists
+            $limit: limit + 1
+        },
+        {
+            // Embed the owner's public profile
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                owner: { $first: "$owner" }
+            }
+        }
+    ]);
+
+    const hasNextPage = videos.length > limit;
+    const page = hasNextPage ? videos.slice(0, limit) : videos;
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                videos: page,
+                nextCursor: hasNextPage ? encodeCursor(page[page.length - 1]) : null,
+                hasNextPage
+            },
+            "Subscription feed fetched successfully"
+        )
+    );
+});
+
+export { getSubscriptionFeed };
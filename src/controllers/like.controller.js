@@ -0,0 +1,246 @@
+// asyncHandler wraps async controllers and forwards any thrown error to Express via next()
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Like } from "../models/like.model.js";
+import { Video, PUBLIC_VIDEO_FILTER, HIDDEN_VIDEO_FIELDS } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Post } from "../models/post.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import mongoose from "mongoose";
+
+// Make sure a video exists and is visible to the current user before reacting to it
+const ensureVideoExists = async (videoId, user) => {
+    const video = await Video.findById(videoId).select("owner isPublished status");
+
+    const isOwner = video?.owner?.toString() === user?._id?.toString();
+    if (!video || (!(video.isPublished && video.status === "ready") && !isOwner)) {
+        throw new ApiError(404, "Video not found");
+    }
+};
+
+// Make sure a comment exists, and its video is visible to the current user, before reacting to it
+// (same rule as comment.controller.js: comments of unpublished videos are only reachable by the video owner)
+const ensureCommentExists = async (commentId, user) => {
+    const comment = await Comment.findById(commentId).select("video");
+
+    if (!comment) {
+        throw new ApiError(404, "Comment not found");
+    }
+
+    await ensureVideoExists(comment.video, user);
+};
+
+// Make sure a community post exists before reacting to it
+const ensurePostExists = async (postId) => {
+    const exists = await Post.exists({ _id: postId });
+
+    if (!exists) {
+        throw new ApiError(404, "Post not found");
+    }
+};
+
+// Apply a like/dislike toggle for a user on a target:
+// - no reaction yet            -> create it
+// - same reaction already set  -> remove it (toggle off)
+// - opposite reaction set      -> switch it
+const toggleReaction = async (targetType, targetId, userId, reaction) => {
+    const filter = { targetType, target: targetId, likedBy: userId };
+
+    // Toggle off: only deletes when the stored reaction is the one being toggled
+    const removed = await Like.findOneAndDelete({ ...filter, reaction });
+    if (removed) return;
+
+    try {
+        // Switch an opposite reaction or insert a new one in a single atomic upsert
+        await Like.findOneAndUpdate(
+            filter,
+            { $set: { reaction } },
+            { upsert: true, runValidators: true }
+        );
+    } catch (error) {
+        // A concurrent request inserted the same reaction first; the unique index kept a single row
+        if (error?.code !== 11000) throw error;
+    }
+};
+
+// Read the requested reaction from the body (defaults to "like")
+// Its value is checked against LIKE_REACTIONS by the route's validation schema
+const getRequestedReaction = (req) => req.body?.reaction ?? "like";
+
+// Controller to toggle a like/dislike on a video
+const toggleVideoLike = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+    const reaction = getRequestedReaction(req);
+
+    await ensureVideoExists(videoId, req.user);
+    await toggleReaction("Video", videoId, req.user._id, reaction);
+
+    const summary = await Like.getReactionSummary("Video", videoId, req.user._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, summary, "Video reaction updated successfully"));
+});
+
+// Controller to toggle a like/dislike on a comment
+const toggleCommentLike = asyncHandler(async (req, res) => {
+    const { commentId } = req.params;
+    const reaction = getRequestedReaction(req);
+
+    await ensureCommentExists(commentId, req.user);
+    await toggleReaction("Comment", commentId, req.user._id, reaction);
+
+    const summary = await Like.getReactionSummary("Comment", commentId, req.user._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, summary, "Comment reaction updated successfully"));
+});
+
+// Controller to toggle a like/dislike on a community post
+const togglePostLike = asyncHandler(async (req, res) => {
+    const { postId } = req.params;
+    const reaction = getRequestedReaction(req);
+
+    await ensurePostExists(postId);
+    await toggleReaction("Post", postId, req.user._id, reaction);
+
+    const summary = await Like.getReactionSummary("Post", postId, req.user._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, summary, "Post reaction updated successfully"));
+});
+
+// Controller to get the like/dislike counts of a video and the viewer's reaction
+const getVideoLikes = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    await ensureVideoExists(videoId, req.user);
+
+    const summary = await Like.getReactionSummary("Video", videoId, req.user?._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, summary, "Video likes fetched successfully"));
+});
+
+// Controller to get the like/dislike counts of a comment and the viewer's reaction
+const getCommentLikes = asyncHandler(async (req, res) => {
+    const { commentId } = req.params;
+
+    await ensureCommentExists(commentId, req.user);
+
+    const summary = await Like.getReactionSummary("Comment", commentId, req.user?._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, summary, "Comment likes fetched successfully"));
+});
+
+// Controller to get the like/dislike counts of a community post and the viewer's reaction
+const getPostLikes = asyncHandler(async (req, res) => {
+    const { postId } = req.params;
+
+    await ensurePostExists(postId);
+
+    const summary = await Like.getReactionSummary("Post", postId, req.user?._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, summary, "Post likes fetched successfully"));
+});
+
+// Controller to list the videos the logged-in user has liked (paginated, most recent like first)
+const getLikedVideos = asyncHandler(async (req, res) => {
+    const userId = new mongoose.Types.ObjectId(req.user._id);
+
+    const aggregate = Like.aggregate([
+        {
+            $match: {
+                likedBy: userId,
+                targetType: "Video",
+                reaction: "like"
+            }
+        },
+        {
+            $sort: { createdAt: -1, _id: -1 }
+        },
+        {
+            // Fetch the liked video; unpublished videos are hidden unless the user owns them
+            $lookup: {
+                from: "videos",
+                localField: "target",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    {
+                        $match: {
+                            $or: [PUBLIC_VIDEO_FILTER, { owner: userId }]
+                        }
+                    },
+                    {
+                        $unset: HIDDEN_VIDEO_FIELDS
+                    },
+                    {
+                        // Owner info, same projection as the watch history
+                        $lookup: {
+                            from: "users",
+                            localField: "owner",
+                            foreignField: "_id",
+                            as: "owner",
+                            pipeline: [
+                                {
+                                    $project: {
+                                        fullName: 1,
+                                        username: 1,
+                                        avatar: 1
+                                    }
+                                }
+                            ]
+                        }
+                    },
+                    {
+                        $addFields: {
+                            owner: { $first: "$owner" }
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            // Drops likes whose video was deleted or is no longer visible
+            $unwind: "$video"
+        },
+        {
+            // Return the video itself, remembering when it was liked
+            $replaceRoot: {
+                newRoot: { $mergeObjects: ["$video", { likedAt: "$createdAt" }] }
+            }
+        }
+    ]);
+
+    const videos = await Like.aggregatePaginate(aggregate, {
+        ...getPaginationOptions(req.query),
+        customLabels: {
+            docs: "videos",
+            totalDocs: "totalVideos"
+        }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, videos, "Liked videos fetched successfully"));
+});
+
+export {
+    toggleVideoLike,
+    toggleCommentLike,
+    togglePostLike,
+    getVideoLikes,
+    getCommentLikes,
+    getPostLikes,
+    getLikedVideos
+};
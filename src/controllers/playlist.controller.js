@@ -0,0 +1,357 @@
+// asyncHandler wraps async controllers and forwards any thrown error to Express via next()
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Video, PUBLIC_VIDEO_FILTER, HIDDEN_VIDEO_FIELDS } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import mongoose from "mongoose";
+
+// Helper to load a playlist and make sure the authenticated user owns it
+const findOwnedPlaylist = async (playlistId, userId) => {
+    const playlist = await Playlist.findById(playlistId);
+
+    if (!playlist) {
+        throw new ApiError(404, "Playlist not found");
+    }
+
+    if (playlist.owner.toString() !== userId.toString()) {
+        throw new ApiError(403, "You are not allowed to modify this playlist");
+    }
+
+    return playlist;
+};
+
+// Controller to create a new (empty) playlist
+const createPlaylist = asyncHandler(async (req, res) => {
+    const { name, description, visibility } = req.body;
+
+    const playlist = await Playlist.create({
+        name: name.trim(),
+        description: description?.trim() || "",
+        visibility,
+        owner: req.user._id
+    });
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, playlist, "Playlist created successfully"));
+});
+
+// Controller to list the playlists of a user
+// Private playlists are only included when the user is looking at their own list
+const getUserPlaylists = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId).select("_id");
+
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    const isOwner = user._id.toString() === req.user?._id?.toString();
+
+    const playlists = await Playlist.aggregate([
+        {
+            $match: {
+                owner: user._id,
+                ...(isOwner ? {} : { visibility: "public" })
+            }
+        },
+        {
+            $sort: { updatedAt: -1 }
+        },
+        {
+            // Use the first video's thumbnail as the playlist cover
+            $lookup: {
+                from: "videos",
+                let: { firstVideoId: { $first: "$videos" } },
+                as: "coverVideo",
+                pipeline: [
+                    { $match: { $expr: { $eq: ["$_id", "$$firstVideoId"] } } },
+                    { $project: { thumbnail: 1 } }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                videosCount: { $size: "$videos" },
+                thumbnail: { $first: "$coverVideo.thumbnail" }
+            }
+        },
+        {
+            $project: {
+                coverVideo: 0,
+                videos: 0
+            }
+        }
+    ]);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, playlists, "Playlists fetched successfully"));
+});
+
+// Controller to fetch a playlist with its videos (in playlist order) and their owners
+const getPlaylistById = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params;
+
+    const viewerId = req.user?._id ? new mongoose.Types.ObjectId(req.user._id) : null;
+
+    const playlist = await Playlist.aggregate([
+        {
+            $match: { _id: new mongoose.Types.ObjectId(playlistId) }
+        },
+        {
+            // Fetch the videos; unpublished (or still processing) ones are only shown to their own owner
+            $lookup: {
+                from: "videos",
+                localField: "videos",
+                foreignField: "_id",
+                as: "videoDocs",
+                pipeline: [
+                    {
+                        $match: {
+                            $or: [PUBLIC_VIDEO_FILTER, { owner: viewerId }]
+                        }
+                    },
+                    {
+                        $unset: HIDDEN_VIDEO_FIELDS
+                    },
+                    {
+                        // Owner info, same projection as the watch history
+                        $lookup: {
+                            from: "users",
+                            localField: "owner",
+                            foreignField: "_id",
+                            as: "owner",
+                            pipeline: [
+                                {
+                                    $project: {
+                                        fullName: 1,
+                                        username: 1,
+                                        avatar: 1
+                                    }
+                                }
+                            ]
+                        }
+                    },
+                    {
+                        $addFields: {
+                            owner: { $first: "$owner" }
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            // $lookup does not keep the order of `videos`, so rebuild the list in playlist order
+            // and drop entries whose video was deleted or is hidden from the viewer
+            $addFields: {
+                videos: {
+                    $filter: {
+                        input: {
+                            $map: {
+                                input: "$videos",
+                                as: "videoId",
+                                in: {
+                                    $first: {
+                                        $filter: {
+                                            input: "$videoDocs",
+                                            as: "video",
+                                            cond: { $eq: ["$$video._id", "$$videoId"] }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        as: "video",
+                        cond: { $eq: [{ $type: "$$video" }, "object"] }
+                    }
+                }
+            }
+        },
+        {
+            // Owner of the playlist itself
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                owner: { $first: "$owner" },
+                videosCount: { $size: "$videos" }
+            }
+        },
+        {
+            $project: { videoDocs: 0 }
+        }
+    ]);
+
+    // Private playlists behave as if they did not exist for anyone but the owner
+    const isOwner = playlist[0]?.owner?._id?.toString() === req.user?._id?.toString();
+    if (!playlist.length || (playlist[0].visibility === "private" && !isOwner)) {
+        throw new ApiError(404, "Playlist not found");
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, playlist[0], "Playlist fetched successfully"));
+});
+
+// Controller to rename a playlist or change its description / visibility
+const updatePlaylist = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params;
+    const { name, description, visibility } = req.body;
+
+    if (!name?.trim() && description === undefined && visibility === undefined) {
+        throw new ApiError(400, "Provide a name, description or visibility to update");
+    }
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user._id);
+
+    if (name?.trim()) {
+        playlist.name = name.trim();
+    }
+
+    if (description !== undefined) {
+        playlist.description = String(description).trim();
+    }
+
+    if (visibility !== undefined) {
+        playlist.visibility = visibility;
+    }
+
+    await playlist.save();
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, playlist, "Playlist updated successfully"));
+});
+
+// Controller to delete a playlist (the videos themselves are untouched)
+const deletePlaylist = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params;
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user._id);
+
+    await Playlist.findByIdAndDelete(playlist._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Playlist deleted successfully"));
+});
+
+// Controller to append a video to the end of a playlist
+const addVideoToPlaylist = asyncHandler(async (req, res) => {
+    const { playlistId, videoId } = req.params;
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user._id);
+
+    // Only existing, published and ready videos can be added
+    const video = await Video.findById(videoId).select("isPublished status");
+
+    if (!video) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    if (!video.isPublished) {
+        throw new ApiError(400, "Unpublished videos cannot be added to a playlist");
+    }
+
+    if (video.status !== "ready") {
+        throw new ApiError(400, "Videos that are still being processed cannot be added to a playlist");
+    }
+
+    // The `videos: { $ne }` condition makes the check-and-append atomic, so a video is never added twice
+    const updatedPlaylist = await Playlist.findOneAndUpdate(
+        { _id: playlist._id, videos: { $ne: video._id } },
+        { $push: { videos: video._id } },
+        { new: true }
+    );
+
+    if (!updatedPlaylist) {
+        throw new ApiError(409, "Video is already in the playlist");
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, updatedPlaylist, "Video added to playlist successfully"));
+});
+
+// Controller to remove a video from a playlist
+const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
+    const { playlistId, videoId } = req.params;
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user._id);
+
+    const updatedPlaylist = await Playlist.findOneAndUpdate(
+        { _id: playlist._id, videos: videoId },
+        { $pull: { videos: videoId } },
+        { new: true }
+    );
+
+    if (!updatedPlaylist) {
+        throw new ApiError(404, "Video is not in the playlist");
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, updatedPlaylist, "Video removed from playlist successfully"));
+});
+
+// Controller to move a video to a new (0-based) position within a playlist
+const moveVideoInPlaylist = asyncHandler(async (req, res) => {
+    const { playlistId, videoId } = req.params;
+
+    // A non-negative integer (checked by `validate(movePlaylistVideoSchema)`), possibly sent as a string
+    const position = Number(req.body.position);
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user._id);
+
+    const currentIndex = playlist.videos.findIndex((id) => id.toString() === videoId);
+
+    if (currentIndex === -1) {
+        throw new ApiError(404, "Video is not in the playlist");
+    }
+
+    if (position >= playlist.videos.length) {
+        throw new ApiError(400, `position must be lower than ${playlist.videos.length}`);
+    }
+
+    // Take the video out of its current slot and insert it at the requested position
+    const videos = [...playlist.videos];
+    const [moved] = videos.splice(currentIndex, 1);
+    videos.splice(position, 0, moved);
+
+    playlist.videos = videos;
+    await playlist.save();
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, playlist, "Video moved successfully"));
+});
+
+export {
+    createPlaylist,
+    getUserPlaylists,
+    getPlaylistById,
+    updatePlaylist,
+    deletePlaylist,
+    addVideoToPlaylist,
+    removeVideoFromPlaylist,
+    moveVideoInPlaylist
+};
@@ -0,0 +1,112 @@
+// asyncHandler wraps async controllers and forwards any thrown error to Express via next()
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Post } from "../models/post.model.js";
+import { User } from "../models/user.model.js";
+import { Like, reactionSummaryStages } from "../models/like.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+
+// Helper to load a post and make sure the authenticated user wrote it
+const findOwnedPost = async (postId, userId) => {
+    const post = await Post.findById(postId);
+
+    if (!post) {
+        throw new ApiError(404, "Post not found");
+    }
+
+    if (post.owner.toString() !== userId.toString()) {
+        throw new ApiError(403, "You are not allowed to modify this post");
+    }
+
+    return post;
+};
+
+// Controller to publish a new community post on the user's channel
+const createPost = asyncHandler(async (req, res) => {
+    const { content } = req.body;
+
+    const post = await Post.create({
+        content: content.trim(),
+        owner: req.user._id
+    });
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, post, "Post created successfully"));
+});
+
+// Controller to edit a post; only its author may do this
+const updatePost = asyncHandler(async (req, res) => {
+    const { postId } = req.params;
+    const { content } = req.body;
+
+    const post = await findOwnedPost(postId, req.user._id);
+
+    post.content = content.trim();
+    await post.save();
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, post, "Post updated successfully"));
+});
+
+// Controller to delete a post; only its author may do this
+const deletePost = asyncHandler(async (req, res) => {
+    const { postId } = req.params;
+
+    const post = await findOwnedPost(postId, req.user._id);
+
+    await Post.findByIdAndDelete(post._id);
+
+    // Reactions on the post are no longer needed
+    await Like.deleteMany({ targetType: "Post", target: post._id });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Post deleted successfully"));
+});
+
+// Controller to list a channel's posts, newest first (paginated)
+const getChannelPosts = asyncHandler(async (req, res) => {
+    const { username } = req.params;
+
+    const channel = await User.findOne({ username: username.toLowerCase() }).select(
+        "fullName username avatar"
+    );
+
+    if (!channel) {
+        throw new ApiError(404, "Channel does not exists");
+    }
+
+    const aggregate = Post.aggregate([
+        {
+            $match: { owner: channel._id }
+        },
+        {
+            $sort: { createdAt: -1, _id: -1 }
+        },
+        // Like/dislike counts and whether the viewer liked each post
+        ...reactionSummaryStages("Post", req.user?._id)
+    ]);
+
+    const posts = await Post.aggregatePaginate(aggregate, {
+        ...getPaginationOptions(req.query),
+        customLabels: {
+            docs: "posts",
+            totalDocs: "totalPosts"
+        }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { channel, ...posts }, "Posts fetched successfully"));
+});
+
+export {
+    createPost,
+    updatePost,
+    deletePost,
+    getChannelPosts
+};
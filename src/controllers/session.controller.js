@@ -0,0 +1,65 @@
+// asyncHandler wraps async controllers and forwards any thrown error to Express via next()
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Session } from "../models/session.model.js";
+
+// Controller to list the logged-in user's active sessions (one per device)
+const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({
+        user: req.user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+        .select("userAgent ip createdAt lastUsedAt expiresAt")
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+    // Flag the session the request was made from so clients can label "this device"
+    const data = sessions.map((session) => ({
+        ...session,
+        isCurrent: session._id.toString() === req.sessionId?.toString()
+    }));
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, data, "Sessions fetched successfully"));
+});
+
+// Controller to revoke (log out) one of the user's sessions
+const revokeSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+
+    // Scoped to the current user so nobody can revoke someone else's session
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, user: req.user._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "revoked_by_user" } }
+    );
+
+    if (!session) {
+        throw new ApiError(404, "Session not found");
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Session revoked successfully"));
+});
+
+// Controller to revoke every session except the one making the request ("log out everywhere else")
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+    // Keep the current session alive (tokens issued before sessions existed have no session id)
+    const result = await Session.revokeAllForUser(req.user._id, "logout_others", req.sessionId);
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { revokedCount: result.modifiedCount },
+                "Logged out from all other sessions"
+            )
+        );
+});
+
+export { getSessions, revokeSession, revokeOtherSessions };
@@ -0,0 +1,158 @@
+// asyncHandler wraps async controllers and forwards any thrown error to Express via next()
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User } from "../models/user.model.js";
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from "../utils/totp.js";
+import { encrypt, decrypt } from "../utils/encryption.js";
+import { hashToken } from "../utils/hashToken.js";
+import { DB_NAME } from "../constants.js";
+import crypto from "crypto";
+
+// Number of one-time recovery codes issued on enrollment
+const RECOVERY_CODES_COUNT = 10;
+
+// Generate recovery codes shown once to the user, e.g. "4F7K-Q2ZD-9XWA"
+// Only their hashes are stored, in the same normalized form used when they are checked
+const generateRecoveryCodes = () => {
+    const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O or 1/I to avoid typos
+
+    const codes = Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+        const chars = Array.from(crypto.randomBytes(12), (byte) => alphabet[byte % alphabet.length]);
+        return chars.join("").match(/.{4}/g).join("-");
+    });
+
+    const hashes = codes.map((code) => hashToken(code.replace(/-/g, "")));
+
+    return { codes, hashes };
+};
+
+// Controller to start enrolling in two-factor authentication
+// Returns the secret (and an otpauth:// URI for QR codes) plus the recovery codes;
+// 2FA only becomes active once a code from the authenticator app is confirmed
+const enrollTwoFactor = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    if (user.twoFactorEnabled) {
+        throw new ApiError(400, "Two-factor authentication is already enabled");
+    }
+
+    const secret = generateTotpSecret();
+    const { codes, hashes } = generateRecoveryCodes();
+
+    // Starting again replaces any enrollment that was never confirmed
+    user.twoFactorPendingSecret = encrypt(secret);
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    const otpauthUri = buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || DB_NAME
+    });
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { otpauthUri, secret, recoveryCodes: codes },
+                "Scan the secret with an authenticator app and confirm with a code"
+            )
+        );
+});
+
+// Controller to confirm enrollment with a code from the authenticator app and turn 2FA on
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select("+twoFactorPendingSecret");
+
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    if (user.twoFactorEnabled) {
+        throw new ApiError(400, "Two-factor authentication is already enabled");
+    }
+
+    if (!user.twoFactorPendingSecret) {
+        throw new ApiError(400, "Start two-factor enrollment first");
+    }
+
+    const step = verifyTotp(decrypt(user.twoFactorPendingSecret), code);
+
+    if (step === null) {
+        throw new ApiError(401, "Invalid two-factor authentication code");
+    }
+
+    // Move the pending secret into place; the confirmed step cannot be used again to log in
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    await user.save({ validateBeforeSave: false });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { twoFactorEnabled: true }, "Two-factor authentication enabled"));
+});
+
+// Controller to turn 2FA off; requires the password and a current code or a recovery code
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+        throw new ApiError(400, "code or recoveryCode is required");
+    }
+
+    const user = await User.findById(req.user._id).select("+twoFactorSecret");
+
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    if (!user.twoFactorEnabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled");
+    }
+
+    const isPasswordValid = await user.isPasswordCorrect(password);
+
+    if (!isPasswordValid) {
+        throw new ApiError(401, "Password is incorrect");
+    }
+
+    const isSecondFactorValid = await user.verifySecondFactor({ code, recoveryCode });
+
+    if (!isSecondFactorValid) {
+        throw new ApiError(401, "Invalid two-factor authentication code");
+    }
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: { twoFactorEnabled: false },
+            $unset: {
+                twoFactorSecret: 1,
+                twoFactorPendingSecret: 1,
+                twoFactorRecoveryCodes: 1,
+                twoFactorLastUsedStep: 1
+            }
+        }
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { twoFactorEnabled: false }, "Two-factor authentication disabled"));
+});
+
+export {
+    enrollTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor
+};
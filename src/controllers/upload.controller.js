@@ -0,0 +1,251 @@
+// asyncHandler wraps async controllers and forwards any thrown error to Express via next()
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { UploadSession, notReceivingChunk } from "../models/uploadSession.model.js";
+import { parseChecksum, writeChunk } from "../utils/resumableUpload.js";
+import { reserveUploadQuota, releaseUploadQuota } from "../utils/uploadQuota.js";
+import { RESUMABLE_UPLOAD_DIR } from "../constants.js";
+import fs from "fs";
+import path from "path";
+
+// Resumable uploads, modelled on the tus protocol (https://tus.io/protocols/resumable-upload):
+//   1. POST   /uploads            { size, filename?, checksum? }  -> creates the upload, returns its id
+//   2. PATCH  /uploads/:uploadId  body: raw bytes, headers Upload-Offset (+ optional Upload-Checksum)
+//   3. HEAD   /uploads/:uploadId  -> Upload-Offset tells where to resume after a dropped connection
+//   4. POST   /videos             { title, description, uploadId } + thumbnail -> publishes the finished upload
+// DELETE /uploads/:uploadId cancels an upload and frees its quota.
+
+const MB = 1024 * 1024;
+
+// Largest file that can be uploaded this way (RESUMABLE_UPLOAD_MAX_MB, default 10 GB)
+const getMaxUploadSize = () => Number(process.env.RESUMABLE_UPLOAD_MAX_MB || 10 * 1024) * MB;
+
+// Bytes a user may have in unfinished uploads at once (RESUMABLE_UPLOAD_QUOTA_MB, default 20 GB)
+const getUploadQuota = () => Number(process.env.RESUMABLE_UPLOAD_QUOTA_MB || 20 * 1024) * MB;
+
+// Time an upload is kept after its last chunk (RESUMABLE_UPLOAD_EXPIRY_HOURS, default 24 hours)
+const getUploadExpiryMs = () => Number(process.env.RESUMABLE_UPLOAD_EXPIRY_HOURS || 24) * 60 * 60 * 1000;
+
+// tus uses this status for a chunk that does not match its Upload-Checksum
+const CHECKSUM_MISMATCH_STATUS = 460;
+
+// Helper to load an upload of the authenticated user that has not expired yet
+// Expired sessions are removed only on the next sweep (see uploadSessionSweeper.js), so `expiresAt` is checked as well
+const findActiveUpload = async (uploadId, userId) => {
+    const session = await UploadSession.findOne({
+        _id: uploadId,
+        owner: userId,
+        expiresAt: { $gt: new Date() }
+    });
+
+    if (!session) {
+        throw new ApiError(404, "Upload not found or expired");
+    }
+
+    return session;
+};
+
+// Helper to expose the progress of an upload in tus-style headers
+const setUploadHeaders = (res, session) => {
+    res.set({
+        "Upload-Offset": String(session.offset),
+        "Upload-Length": String(session.size),
+        "Upload-Expires": session.expiresAt.toUTCString(),
+        "Cache-Control": "no-store"
+    });
+};
+
+// Controller to start a resumable upload
+// `size` and the optional `checksum` are checked by `validate(createUploadSchema)`
+const createUpload = asyncHandler(async (req, res) => {
+    const { filename, checksum } = req.body;
+    const size = Number(req.body.size);
+
+    const maxSize = getMaxUploadSize();
+
+    if (size > maxSize) {
+        const message = `size must be at most ${maxSize} bytes`;
+        throw new ApiError(413, message, [{ field: "size", code: "too_large", message }]);
+    }
+
+    // Quota: the full size of every unfinished upload counts, however much of it was received.
+    // The bytes are reserved up front, in one atomic update, so parallel requests cannot all pass the check
+    const reserved = await reserveUploadQuota(req.user._id, size, getUploadQuota());
+
+    if (!reserved) {
+        const message = "Upload quota exceeded, finish or cancel your other uploads first";
+        throw new ApiError(413, message, [{ field: "size", code: "quota_exceeded", message }]);
+    }
+
+    const session = new UploadSession({
+        owner: req.user._id,
+        size,
+        filename: filename?.trim() || null,
+        checksum: checksum?.trim() || null,
+        expiresAt: new Date(Date.now() + getUploadExpiryMs())
+    });
+
+    // The received bytes are written into a file named after the upload
+    session.filePath = path.join(RESUMABLE_UPLOAD_DIR, session._id.toString());
+
+    try {
+        await fs.promises.mkdir(RESUMABLE_UPLOAD_DIR, { recursive: true });
+        await fs.promises.writeFile(session.filePath, "");
+        await session.save();
+    } catch (error) {
+        await fs.promises.rm(session.filePath, { force: true });
+        await releaseUploadQuota(req.user._id, size);
+        throw error;
+    }
+
+    setUploadHeaders(res, session);
+    res.set("Location", `${req.baseUrl}/${session._id}`);
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, {
+            uploadId: session._id,
+            size: session.size,
+            offset: session.offset,
+            expiresAt: session.expiresAt
+        }, "Upload created"));
+});
+
+// Controller answering HEAD requests: how many bytes were received, i.e. where to resume
+const getUploadOffset = asyncHandler(async (req, res) => {
+    const session = await findActiveUpload(req.params.uploadId, req.user._id);
+
+    setUploadHeaders(res, session);
+
+    return res.status(200).end();
+});
+
+// Controller to receive the next chunk of an upload
+// The body is read as a raw stream (no body parser handles application/offset+octet-stream)
+const uploadChunk = asyncHandler(async (req, res) => {
+    const { uploadId } = req.params;
+
+    if (!req.is("application/offset+octet-stream")) {
+        throw new ApiError(415, "Chunks must be sent with Content-Type: application/offset+octet-stream");
+    }
+
+    const clientOffset = Number(req.get("Upload-Offset"));
+
+    if (!req.get("Upload-Offset") || !Number.isInteger(clientOffset) || clientOffset < 0) {
+        const message = "Upload-Offset header must be a whole number";
+        throw new ApiError(400, message, [{ field: "Upload-Offset", code: "invalid_number", message }]);
+    }
+
+    const checksum = req.get("Upload-Checksum") ? parseChecksum(req.get("Upload-Checksum")) : null;
+
+    if (req.get("Upload-Checksum") && !checksum) {
+        const message = "Upload-Checksum header must be \"<sha1|sha256|md5> <base64 digest>\"";
+        throw new ApiError(400, message, [{ field: "Upload-Checksum", code: "invalid_format", message }]);
+    }
+
+    const session = await findActiveUpload(uploadId, req.user._id);
+
+    if (session.status !== "uploading") {
+        throw new ApiError(409, "This upload is being published and no longer accepts chunks");
+    }
+
+    // The client must resume exactly where the server stopped receiving; the header tells it where that is
+    if (session.offset !== clientOffset) {
+        setUploadHeaders(res, session);
+        throw new ApiError(409, "Upload-Offset does not match the number of bytes received so far");
+    }
+
+    // Lock the upload at this offset, so a second request for the same chunk cannot write at the same time
+    const lockedAt = new Date();
+    const locked = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: "uploading", offset: clientOffset, ...notReceivingChunk() },
+        { $set: { lockedAt } },
+        { new: true }
+    );
+
+    if (!locked) {
+        throw new ApiError(409, "Another chunk of this upload is being received");
+    }
+
+    const result = await writeChunk(req, session.filePath, clientOffset, session.size - clientOffset, checksum?.algorithm);
+
+    // Bytes that are kept: a chunk with a checksum is all or nothing, without one the received part is kept
+    // (a dropped connection then only loses what was still in flight)
+    let newOffset = clientOffset + result.bytesWritten;
+    let error = null;
+
+    if (result.error) {
+        newOffset = clientOffset;
+        error = result.error;
+    } else if (result.exceeded) {
+        newOffset = clientOffset;
+        const message = "The chunk goes past the size announced when the upload was created";
+        error = new ApiError(413, message, [{ field: "body", code: "too_large", message }]);
+    } else if (checksum && (!result.ended || result.digest !== checksum.digest)) {
+        newOffset = clientOffset;
+        const message = "The chunk does not match its Upload-Checksum, send it again";
+        error = new ApiError(CHECKSUM_MISMATCH_STATUS, message, [{ field: "Upload-Checksum", code: "checksum_mismatch", message }]);
+    }
+
+    // Drop whatever was written past the kept bytes, then record the new offset and release the lock
+    await fs.promises.truncate(session.filePath, newOffset);
+
+    const updated = await UploadSession.findOneAndUpdate(
+        { _id: session._id, lockedAt },
+        { $set: { offset: newOffset, lockedAt: null, expiresAt: new Date(Date.now() + getUploadExpiryMs()) } },
+        { new: true }
+    );
+
+    if (error) {
+        throw error;
+    }
+
+    // The client went away: the bytes are saved, there is nobody left to answer
+    if (!result.ended) {
+        return;
+    }
+
+    if (!updated) {
+        throw new ApiError(409, "The upload was cancelled or expired while the chunk was being received");
+    }
+
+    setUploadHeaders(res, updated);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            uploadId: updated._id,
+            size: updated.size,
+            offset: updated.offset,
+            complete: updated.offset === updated.size,
+            expiresAt: updated.expiresAt
+        }, updated.offset === updated.size ? "Upload complete, it can now be published" : "Chunk received"));
+});
+
+// Controller to cancel an upload and remove what was received
+const cancelUpload = asyncHandler(async (req, res) => {
+    const session = await findActiveUpload(req.params.uploadId, req.user._id);
+
+    // An upload being published belongs to the new video now, and a chunk being written must finish first
+    const deleted = await UploadSession.findOneAndDelete({ _id: session._id, status: "uploading", ...notReceivingChunk() });
+
+    if (!deleted) {
+        throw new ApiError(409, "This upload is being published or receiving a chunk, it cannot be cancelled now");
+    }
+
+    await fs.promises.rm(deleted.filePath, { force: true });
+    await releaseUploadQuota(deleted.owner, deleted.size);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Upload cancelled"));
+});
+
+export {
+    createUpload,
+    getUploadOffset,
+    uploadChunk,
+    cancelUpload
+};
@@ -5,35 +5,72 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 
 import { ApiError } from "../utils/ApiError.js"
 import { User } from "../models/user.model.js";
+import { PUBLIC_VIDEO_FILTER, HIDDEN_VIDEO_FIELDS } from "../models/video.model.js";
 import { Subscription } from "../models/subscription.model.js";
-import { uploadOnCloudinary, deletFromCloudinary } from "../utils/cloudinary.js";
+import { Session } from "../models/session.model.js";
+import { RefreshToken } from "../models/refreshToken.model.js";
+import { SecurityEvent } from "../models/securityEvent.model.js";
+import { OneTimeToken } from "../models/oneTimeToken.model.js";
+import { putFile, deleteFile, resolveAsset } from "../utils/storage/storage.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
-import { validateRegistrationInput } from "../validations/user.validate.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { hashToken } from "../utils/hashToken.js";
+import { sendMail } from "../utils/mail/mailer.js";
+import { escapeHtml } from "../utils/escapeHtml.js";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
 import mongoose from "mongoose";
-import { json } from "express";
 
 // Function to generate a new access token and refresh token for a user
-const generateAccessAndRefreshToken = async (userId) => {
+// Every device gets its own Session record, which is also the family of all refresh tokens
+// rotated from that login:
+// - without `session` a new session / token family is created (login)
+// - with `session` a new refresh token is added to that existing family (token refresh)
+const generateAccessAndRefreshToken = async (userId, req, session = null) => {
     try {
         // 1. Fetch the user from the database using the provided user ID
         const user = await User.findById(userId);
 
-        // 2. Generate a new access token for short-term authentication
-        const accessToken = user.generateAccessToken();
+        // 2. Reuse the id of the session being refreshed, or pick a new one for this device
+        const sessionId = session?._id ?? new mongoose.Types.ObjectId();
 
-        // 3. Generate a new refresh token for renewing the access token without re-authenticating
-        const refreshToken = user.generateRefreshToken();
+        // 3. Every refresh token gets a unique id (jti) so it can be tracked individually
+        const jti = crypto.randomUUID();
 
-        // 4. Save the newly generated refresh token in the user's record in the database
-        //    This allows the server to validate future refresh requests
-        user.refreshToken = refreshToken;
+        // 4. Generate a new access token for short-term authentication, bound to the session
+        const accessToken = user.generateAccessToken(sessionId);
 
-        // 5. Save the user document but skip all Mongoose validations for performance
-        await user.save({ validateBeforeSave: false });
+        // 5. Generate a new refresh token for renewing the access token without re-authenticating
+        const refreshToken = user.generateRefreshToken(sessionId, jti);
+        const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
 
-        // 6. Return both tokens so they can be sent back to the client
-        return { accessToken, refreshToken };
+        // 6. Create or extend the session so it lives as long as its latest refresh token
+        if (session) {
+            await Session.updateOne(
+                { _id: sessionId },
+                { $set: { expiresAt, lastUsedAt: new Date() } }
+            );
+        } else {
+            await Session.create({
+                _id: sessionId,
+                user: user._id,
+                userAgent: req?.get("User-Agent") || "",
+                ip: req?.ip || "",
+                expiresAt
+            });
+        }
+
+        // 7. Track the refresh token in its family; only a hash of it is stored
+        await RefreshToken.create({
+            jti,
+            family: sessionId,
+            user: user._id,
+            tokenHash: hashToken(refreshToken),
+            expiresAt
+        });
+
+        // 8. Return both tokens so they can be sent back to the client
+        return { accessToken, refreshToken, sessionId, jti };
 
     } catch (error) {
         // If an error occurs at any point (DB issues, token generation failure), throw a custom API error
@@ -41,6 +78,54 @@ const generateAccessAndRefreshToken = async (userId) => {
     }
 };
 
+// Revoke a whole token family after one of its already rotated refresh tokens was presented again.
+// Either the legitimate user or an attacker holds a copy of an old token, and there is no way
+// to tell which one, so every token of the family (and the session itself) stops working.
+const revokeTokenFamily = async (req, session, storedToken) => {
+    await Session.updateOne(
+        { _id: session._id },
+        { $set: { revokedAt: new Date(), revokedReason: "refresh_token_reuse" } }
+    );
+
+    await SecurityEvent.record("refresh_token_reuse", req, {
+        user: session.user,
+        session: session._id,
+        details: {
+            jti: storedToken.jti,
+            rotatedAt: storedToken.rotatedAt,
+            replacedBy: storedToken.replacedBy
+        }
+    });
+};
+
+// Issue a single-use verification token for `email` and e-mail the confirmation link to that address
+// purpose "email_verification" confirms the current address, "email_change" confirms a new one
+const sendEmailVerification = async (user, email, purpose = "email_verification") => {
+    // Only the latest link of each kind should work
+    await OneTimeToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+    const verificationToken = crypto.randomBytes(32).toString("hex");
+    const expiryHours = Number(process.env.EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS) || 24;
+
+    await OneTimeToken.create({
+        user: user._id,
+        purpose,
+        email,
+        tokenHash: hashToken(verificationToken),
+        expiresAt: new Date(Date.now() + expiryHours * 60 * 60 * 1000)
+    });
+
+    const verifyUrl = `${process.env.APP_URL ?? ""}/verify-email?token=${verificationToken}`;
+
+    await sendMail({
+        to: email,
+        subject: purpose === "email_change" ? "Confirm your new e-mail address" : "Verify your e-mail address",
+        text: `Hi ${user.fullName},\n\nPlease confirm this e-mail address by opening the link below. It expires in ${expiryHours} hours.\n\n${verifyUrl}\n\nIf you did not request this, you can ignore this e-mail.`,
+        // Interpolated values are escaped: the name is chosen by whoever registered the address
+        html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Please confirm this e-mail address by opening the link below. It expires in ${expiryHours} hours.</p><p><a href="${escapeHtml(verifyUrl)}">Confirm e-mail address</a></p><p>If you did not request this, you can ignore this e-mail.</p>`
+    });
+};
+
 // Define the registerUser controller function
 // It's wrapped in asyncHandler to ensure any asynchronous errors are caught
 // and forwarded to the error-handling middleware.
@@ -51,7 +136,7 @@ const registerUser = asyncHandler( async ( req, res, next) => {
     // validation - not empty
     // check if user lready exists: username / email
     // check for images / check for avatar
-    // upload them to the another server(cloudinary), avatar
+    // store them with the configured storage driver (Cloudinary or local disk), avatar
     // hash password before user creation
     // create user object - create entry in db
     // remove password and refresh token field from response
@@ -88,11 +173,7 @@ const registerUser = asyncHandler( async ( req, res, next) => {
     //     throw new ApiError(400, errors.join(`\n`));
     // }
 
-    const validationErrors = validateRegistrationInput({ fullName, username, email, password });
-
-    if (validationErrors.length > 0) {
-        throw new ApiError(400, `\n\n${validationErrors.join("\n")}\n\n`);
-    }
+    // The fields are validated by `validate(registerUserSchema)` in user.routes.js
 
     // Check if a user already exists with the same email or username
     const ExistedUser = await User.findOne({
@@ -104,22 +185,23 @@ const registerUser = asyncHandler( async ( req, res, next) => {
         throw new ApiError( 409, "Email or Username already exists")
     }
 
-    // Retrieve avatar and cover image file paths from the request
+    // Retrieve avatar and cover image files from the request
     // Only fetch the first file if multiple are uploaded
-    const avatarLocalPath = Array.isArray(req.files?.avatar) && req.files.avatar.length > 0 ? req.files.avatar[0].path : null;
-    const coverImageLocalPath = Array.isArray(req.files?.coverImage) && req.files.coverImage.length > 0 ? req.files.coverImage[0].path : null;
+    const avatarFile = req.files?.avatar?.[0];
+    const coverImageFile = req.files?.coverImage?.[0];
 
-    if(!avatarLocalPath){
+    if(!avatarFile){
         throw new ApiError(400, "Avatar file is required");
     }
 
-    // Upload avatar and cover image to Cloudinary
-    const avatar = await uploadOnCloudinary(avatarLocalPath)
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath)
+    // Store avatar and cover image with the configured storage driver
+    const avatar = await putFile(avatarFile.path, { folder: "avatars", extension: avatarFile.detectedExtension })
+    const coverImage = await putFile(coverImageFile?.path, { folder: "cover-images", extension: coverImageFile?.detectedExtension })
 
-    // If avatar upload failed (e.g. Cloudinary error), throw error
+    // If storing the avatar failed, throw error (and do not keep an orphaned cover image)
     if(!avatar){
-        throw new ApiError(400, "Avatar file is required");
+        await deleteFile(coverImage);
+        throw new ApiError(400, "Error while uploading the avatar");
     }
 
     // Create a new user record in the database
@@ -128,8 +210,10 @@ const registerUser = asyncHandler( async ( req, res, next) => {
         username: username.toLowerCase(), // Store username in lowercase
         email,
         fullName,
-        avatar: avatar.url, // Store Cloudinary avatar URL
+        avatar: avatar.url, // Public avatar URL
+        avatarAsset: { provider: avatar.provider, key: avatar.key }, // Where the avatar file is stored
         coverImage: coverImage?.url || "", // Store cover image if uploaded
+        coverImageAsset: coverImage ? { provider: coverImage.provider, key: coverImage.key } : null,
         password // Plain password; should be hashed via Mongoose middleware
     });
 
@@ -143,6 +227,14 @@ const registerUser = asyncHandler( async ( req, res, next) => {
         throw new ApiError(500, "Something went wrong while registering the user");
     }
 
+    // New accounts start unverified; send the verification link
+    // A mail failure should not undo the registration, the user can ask for a new link later
+    try {
+        await sendEmailVerification(createdUser, createdUser.email);
+    } catch (error) {
+        console.error("Error sending verification e-mail:", error);
+    }
+
     // Sending a 200 OK response with a JSON object containing a message
     // res.status(200).json({
     //     message: "ok",
@@ -171,25 +263,135 @@ const loginUser = asyncHandler( async (req, res) => {
     }
 
     // Find user by either email or username using MongoDB's $or query
+    // The lockout fields are not selected by default but are needed for brute-force protection
     const user = await User.findOne({
         $or: [{ username }, { email }]
-    });
+    }).select("+failedLoginAttempts +lockUntil");
 
     // If no user is found, return a 404 error
     if (!user) {
         throw new ApiError(404, "User does not exist");
     }
 
+    // A locked account is refused without even checking the password
+    if (user.isLocked()) {
+        throwAccountLocked(res, user.lockUntil);
+    }
+
     // Validate the entered password with the stored hashed password
     const isPasswordValid = await user.isPasswordCorrect(password);
 
-    // If password is invalid, return a 401 Unauthorized error
+    // If password is invalid, count the failure (locking the account after too many)
+    // and return a 401 Unauthorized error
     if (!isPasswordValid) {
+        const lockUntil = await user.registerFailedLogin();
+        if (lockUntil) {
+            throwAccountLocked(res, lockUntil);
+        }
         throw new ApiError(401, "Invalid user credentials");
     }
 
+    // Suspended accounts cannot log in (checked after the password so it reveals nothing to guessers)
+    if (user.suspendedAt) {
+        throw new ApiError(403, "Your account has been suspended");
+    }
+
+    // With two-factor authentication enabled the password alone is not enough:
+    // hand out a short-lived challenge token that must be exchanged together with a TOTP code
+    if (user.twoFactorEnabled) {
+        const challengeToken = jwt.sign(
+            { _id: user._id, purpose: "2fa_challenge" },
+            process.env.TWO_FACTOR_CHALLENGE_SECRET,
+            { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m" }
+        );
+
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    { twoFactorRequired: true, challengeToken },
+                    "Two-factor authentication code required"
+                )
+            );
+    }
+
+    return completeLogin(req, res, user);
+});
+
+// Controller to finish a login for accounts with two-factor authentication enabled
+// Expects the challenge token returned by /login and either a TOTP `code` or a `recoveryCode`
+const verifyTwoFactorLogin = asyncHandler( async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+        throw new ApiError(400, "code or recoveryCode is required");
+    }
+
+    // The challenge token is signed with its own secret, so it can never be used as an access token
+    let decodedToken;
+    try {
+        decodedToken = jwt.verify(challengeToken, process.env.TWO_FACTOR_CHALLENGE_SECRET);
+    } catch (error) {
+        throw new ApiError(401, "Invalid or expired two-factor challenge");
+    }
+
+    if (decodedToken?.purpose !== "2fa_challenge") {
+        throw new ApiError(401, "Invalid or expired two-factor challenge");
+    }
+
+    const user = await User.findById(decodedToken._id).select(
+        "+twoFactorSecret +failedLoginAttempts +lockUntil"
+    );
+
+    if (!user || !user.twoFactorEnabled) {
+        throw new ApiError(401, "Invalid or expired two-factor challenge");
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (user.isLocked()) {
+        throwAccountLocked(res, user.lockUntil);
+    }
+
+    // Checks the TOTP code (single use per time step) or consumes a recovery code
+    const isSecondFactorValid = await user.verifySecondFactor({ code, recoveryCode });
+
+    if (!isSecondFactorValid) {
+        const lockUntil = await user.registerFailedLogin();
+        if (lockUntil) {
+            throwAccountLocked(res, lockUntil);
+        }
+        throw new ApiError(401, "Invalid two-factor authentication code");
+    }
+
+    // The account may have been suspended after the password step
+    if (user.suspendedAt) {
+        throw new ApiError(403, "Your account has been suspended");
+    }
+
+    return completeLogin(req, res, user);
+});
+
+// Helper to reject a request for a locked account with 429, telling the client when to try again
+const throwAccountLocked = (res, lockUntil) => {
+    const retryAfterSeconds = Math.max(1, Math.ceil((lockUntil.getTime() - Date.now()) / 1000));
+
+    // The error handler keeps headers already set on the response
+    res.set("Retry-After", String(retryAfterSeconds));
+
+    throw new ApiError(429, "Too many failed attempts, the account is temporarily locked");
+};
+
+// Helper shared by both login steps: create the device session, set the auth cookies and respond
+const completeLogin = async (req, res, user) => {
+    // The login succeeded, so earlier failed attempts no longer count towards a lockout
+    if (user.failedLoginAttempts) {
+        await user.resetFailedLogins();
+    }
+
     // Generate access and refresh tokens for the authenticated user
-    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id);
+    // A new session is created for this device; sessions on other devices stay valid
+    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id, req);
 
     // Retrieve the user again, excluding sensitive fields like password and refreshToken
     const loggedInUser = await User.findById(user._id).select("-password -refreshToken");
@@ -216,23 +418,23 @@ const loginUser = asyncHandler( async (req, res) => {
                 "User logged in successfully"
             )
         );
-});
+};
 
 // Controller to handle user logout logic
 const logoutUser = asyncHandler( async (req, res) => {
-    // Clear the user's refreshToken in the database
-    // This ensures the refresh token is invalidated and can't be reused
-    await User.findByIdAndUpdate(
-        req.user._id, // Identify the user based on the authenticated request
-        {
-            $unset: {
-                refreshToken: 1  // Remove/clear the refreshToken field
+    // Revoke only the session of the device making the request
+    // This ensures its refresh token can't be reused, while other devices stay logged in
+    if (req.sessionId) {
+        await Session.findOneAndUpdate(
+            { _id: req.sessionId, user: req.user._id }, // The current session of the authenticated user
+            {
+                $set: {
+                    revokedAt: new Date(),  // Mark the session as revoked
+                    revokedReason: "logout"
+                }
             }
-        },
-        {
-            new: true // Return the modified document (optional in this case since we're not using it)
-        }
-    );
+        );
+    }
 
     // Cookie options to enhance security
     const options = {
@@ -275,10 +477,46 @@ const refreshAccessToken = asyncHandler( async (req, res) => {
             throw new ApiError(401, "Invalid Refresh Token");
         }
 
-        // Compare the token received from the client with the token stored in the database
-        // If they do not match, the token may be reused or expired (invalid session)
-        if (incommingRefreshToken !== user.refreshToken) {
-            throw new ApiError(401, "Refresh token is expired or used");
+        // Find the device session (token family) and the stored record of this exact token
+        const session = decodedToken?.sid ? await Session.findById(decodedToken.sid) : null;
+        const storedToken = decodedToken?.jti
+            ? await RefreshToken.findOne({ jti: decodedToken.jti, family: decodedToken.sid })
+            : null;
+
+        // The token must be known, belong to this user and match the stored hash
+        if (
+            !session ||
+            !storedToken ||
+            session.user.toString() !== user._id.toString() ||
+            hashToken(incommingRefreshToken) !== storedToken.tokenHash
+        ) {
+            throw new ApiError(401, "Invalid Refresh Token");
+        }
+
+        // A token that was already exchanged is being presented again: revoke the whole family
+        if (storedToken.rotatedAt) {
+            if (!session.revokedAt) {
+                await revokeTokenFamily(req, session, storedToken);
+            }
+            throw new ApiError(401, "Refresh token reuse detected, please log in again");
+        }
+
+        // The session was logged out, revoked or has expired
+        if (!session.isActive()) {
+            throw new ApiError(401, "Session is expired or has been revoked");
+        }
+
+        // Mark the token as used atomically, so two concurrent requests with the same token
+        // cannot both succeed; the slower one is treated as reuse
+        const claimed = await RefreshToken.findOneAndUpdate(
+            { _id: storedToken._id, rotatedAt: null },
+            { $set: { rotatedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!claimed) {
+            await revokeTokenFamily(req, session, storedToken);
+            throw new ApiError(401, "Refresh token reuse detected, please log in again");
         }
 
         // Cookie security options
@@ -287,8 +525,11 @@ const refreshAccessToken = asyncHandler( async (req, res) => {
             secure: true    // Sends cookies only over HTTPS (recommended for production)
         };
 
-        // Generate a new access token and a new refresh token
-        const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id);
+        // Generate a new access token and a new refresh token for the same session
+        const { accessToken, refreshToken, jti } = await generateAccessAndRefreshToken(user._id, req, session);
+
+        // Link the used token to its successor for auditing
+        await RefreshToken.updateOne({ _id: storedToken._id }, { $set: { replacedBy: jti } });
 
         // Send the new tokens back as HTTP-only cookies and in the response body
         return res
@@ -315,34 +556,39 @@ const refreshAccessToken = asyncHandler( async (req, res) => {
 const chnageCurrentPassword = asyncHandler( async (req, res) => {
     
     // Extract current and new passwords from the request body
+    // Both are validated by `validate(changePasswordSchema)`; the new one must meet the password rules
     const { currentPassword, newPassword } = req.body;
 
-    // Validate current password presence and non-empty value
-    if (!currentPassword || currentPassword.trim() === "") {
-        throw new ApiError(400, "Current password is required");
-    }
-
-    // Validate new password presence and non-empty value
-    if (!newPassword || newPassword.trim() === "") {
-        throw new ApiError(400, "New password is required");
-    }
-
     // Find the user based on the authenticated user ID (set in previous auth middleware)
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.user._id).select("+failedLoginAttempts +lockUntil");
 
     // If user not found, return 404 error
     if (!user) {
         throw new ApiError(404, "User not found");
     }
 
+    // Guessing the current password is subject to the same lockout as logging in
+    if (user.isLocked()) {
+        throwAccountLocked(res, user.lockUntil);
+    }
+
     // Compare the currentPassword entered by the user with the hashed password in DB
     const isPasswordValid = await user.isPasswordCorrect(currentPassword);
 
-    // If current password does not match, throw unauthorized error
+    // If current password does not match, count the failure and throw unauthorized error
     if (!isPasswordValid) {
+        const lockUntil = await user.registerFailedLogin();
+        if (lockUntil) {
+            throwAccountLocked(res, lockUntil);
+        }
         throw new ApiError(401, "Current password is incorrect");
     }
 
+    // The right password was given, so earlier failed attempts no longer count
+    if (user.failedLoginAttempts) {
+        await user.resetFailedLogins();
+    }
+
     // Prevent setting the same password as the new one
     if (currentPassword === newPassword) {
         throw new ApiError(400, "New password must be different from the current password");
@@ -360,6 +606,86 @@ const chnageCurrentPassword = asyncHandler( async (req, res) => {
     );
 });
 
+// Controller to start the "forgot password" flow
+// E-mails a single-use reset link to the address if an account exists for it
+const forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+    if (user) {
+        // Only the most recent reset link should work
+        await OneTimeToken.deleteMany({ user: user._id, purpose: "password_reset", usedAt: null });
+
+        // Random token sent to the user; only its hash is stored
+        const resetToken = crypto.randomBytes(32).toString("hex");
+        const expiryMinutes = Number(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES) || 30;
+
+        await OneTimeToken.create({
+            user: user._id,
+            purpose: "password_reset",
+            tokenHash: hashToken(resetToken),
+            expiresAt: new Date(Date.now() + expiryMinutes * 60 * 1000)
+        });
+
+        const resetUrl = `${process.env.APP_URL ?? ""}/reset-password?token=${resetToken}`;
+
+        try {
+            await sendMail({
+                to: user.email,
+                subject: "Reset your password",
+                text: `Hi ${user.fullName},\n\nUse the link below to reset your password. It expires in ${expiryMinutes} minutes and can be used only once.\n\n${resetUrl}\n\nIf you did not ask for a password reset, you can ignore this e-mail.`,
+                html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Use the link below to reset your password. It expires in ${expiryMinutes} minutes and can be used only once.</p><p><a href="${escapeHtml(resetUrl)}">Reset password</a></p><p>If you did not ask for a password reset, you can ignore this e-mail.</p>`
+            });
+        } catch (error) {
+            // The response must not reveal whether the account exists, so only log the failure
+            console.error("Error sending password reset e-mail:", error);
+        }
+    }
+
+    // Same answer whether or not the e-mail is registered, so accounts cannot be enumerated
+    return res.status(200).json(
+        new ApiResponse(200, {}, "If an account exists for this e-mail, a reset link has been sent")
+    );
+});
+
+// Controller to finish the "forgot password" flow with the token from the e-mail
+const resetPassword = asyncHandler(async (req, res) => {
+    // `newPassword` already passed the same password rules as registration (resetPasswordSchema)
+    const { token, newPassword } = req.body;
+
+    // Consume the token atomically so it cannot be used twice
+    const resetToken = await OneTimeToken.consume(hashToken(token.trim()), "password_reset");
+
+    if (!resetToken) {
+        throw new ApiError(400, "Reset token is invalid or has expired");
+    }
+
+    const user = await User.findById(resetToken.user);
+
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    // Set the new password (hashed by the pre-save hook)
+    user.password = newPassword;
+
+    // The reset link was delivered to the account's address, which proves the user owns it
+    user.emailVerified = true;
+
+    await user.save({ validateBeforeSave: false });
+
+    // Whoever knew the old password may still be logged in: revoke every session / refresh token
+    await Session.revokeAllForUser(user._id, "password_reset");
+
+    // Proving control of the e-mail address lifts a lockout caused by failed attempts
+    await user.resetFailedLogins();
+
+    return res.status(200).json(
+        new ApiResponse(200, {}, "Password has been reset, please log in again")
+    );
+});
+
 // Controller to get logged-in user's account details
 const getAccountDetails = asyncHandler(async (req, res) => {
     // Fetch the user from the database using the ID from the authenticated request
@@ -385,76 +711,162 @@ const getAccountDetails = asyncHandler(async (req, res) => {
 const changeAccountDetails = asyncHandler(async (req, res) => {
 
     // Destructure updated values from the request body
+    // Both are required and checked by `validate(changeAccountDetailsSchema)` (same rules as registration)
     const { fullName, email } = req.body;
 
-    // Validate presence of both fields (prevent partial updates)
-    if (!fullName || !email) {
-        throw new ApiError(400, "All fields are required"); // Return 400 Bad Request if any field is missing
-    }
+    const normalizedEmail = email.trim().toLowerCase();
 
-    // Update the user's fullName and email in the database
-    const user = await User.findByIdAndUpdate(
-        req.user?._id,                // Use the authenticated user's ID from the request (set via middleware)
-        {
-            $set: { fullName, email } // Set the new values for fullName and email
-        },
-        {
-            new: true                 // Return the updated document instead of the original
+    const user = await User.findById(req.user?._id).select("-password");
+
+    // The full name changes immediately
+    user.fullName = fullName.trim();
+
+    const emailChanged = normalizedEmail !== user.email;
+
+    // An unverified address is simply replaced (e.g. to fix a typo made at signup, whose verification
+    // e-mail never arrived); a verified one stays active until the new address has been confirmed
+    const replaceUnverifiedEmail = emailChanged && !user.emailVerified;
+
+    if (emailChanged) {
+        // The address must not belong to another account
+        const emailTaken = await User.exists({ email: normalizedEmail, _id: { $ne: user._id } });
+
+        if (emailTaken) {
+            throw new ApiError(409, "Email already exists");
         }
-    ).select("-password");            // Exclude the password field from the returned user object for security
+
+        if (replaceUnverifiedEmail) {
+            user.email = normalizedEmail;
+            user.pendingEmail = null;
+        } else {
+            user.pendingEmail = normalizedEmail;
+        }
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    if (emailChanged) {
+        // Send the verification (or confirmation) link to the new address;
+        // links sent to the previous unverified address no longer match the account's address
+        await sendEmailVerification(user, normalizedEmail, replaceUnverifiedEmail ? "email_verification" : "email_change");
+    }
 
     // Return a success response with the updated user details
     return res
         .status(200)  // HTTP OK
-        .json(new ApiResponse(200, user, "Account updated successfully"));
+        .json(
+            new ApiResponse(
+                200,
+                user,
+                replaceUnverifiedEmail
+                    ? "Account updated successfully. A verification e-mail was sent to the new address"
+                    : emailChanged
+                        ? "Account updated successfully. Confirm the new e-mail address to complete the change"
+                        : "Account updated successfully"
+            )
+        );
 });
 
-// Function to change the user's avatar
-const changeUserAvatar = asyncHandler(async (req, res) => {
-    
-    // Get the local file path of the uploaded avatar from the request
-    const avatarImageLocalPath = req.file?.path;
+// Controller to confirm an e-mail address with the token from the verification e-mail
+// Handles both the signup verification and the confirmation of a pending e-mail change
+const verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.body;
 
-    // If no file was uploaded, throw an error
-    if (!avatarImageLocalPath) {
-        throw new ApiError(400, "Avatar image file is missing");
+    // Consume the token atomically so it cannot be used twice
+    const verificationToken = await OneTimeToken.consume(
+        hashToken(token.trim()),
+        ["email_verification", "email_change"]
+    );
+
+    if (!verificationToken) {
+        throw new ApiError(400, "Verification token is invalid or has expired");
     }
 
-    // Fetch the current avatar's Cloudinary URL from the database (excluding _id)
-    const avatarCloudinaryFilePath = (
-        await User.findById(req.user?._id).select("avatar -_id")
-    ).avatar;
+    const user = await User.findById(verificationToken.user).select("-password");
 
-    // If an existing avatar exists on Cloudinary, attempt to delete it
-    if (avatarCloudinaryFilePath) {
-        const oldAvatarImage = await deletFromCloudinary(avatarCloudinaryFilePath);
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
 
-        // If deletion failed, throw an error
-        if (!oldAvatarImage) {
-            throw new ApiError(404, "Error while deleting file from Cloudinary");
+    if (verificationToken.purpose === "email_change") {
+        // The link must match the change that is still pending
+        if (user.pendingEmail !== verificationToken.email) {
+            throw new ApiError(400, "This e-mail change is no longer pending");
         }
+
+        // Someone may have registered the address in the meantime
+        const emailTaken = await User.exists({ email: verificationToken.email, _id: { $ne: user._id } });
+
+        if (emailTaken) {
+            throw new ApiError(409, "Email already exists");
+        }
+
+        user.email = verificationToken.email;
+        user.pendingEmail = null;
+    } else if (user.email !== verificationToken.email) {
+        // The account's address changed after the link was sent
+        throw new ApiError(400, "Verification token is invalid or has expired");
+    }
+
+    user.emailVerified = true;
+    await user.save({ validateBeforeSave: false });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, "E-mail address verified successfully"));
+});
+
+// Controller to send a new verification link for the logged-in user's current address
+const resendEmailVerification = asyncHandler(async (req, res) => {
+    if (req.user.emailVerified) {
+        throw new ApiError(400, "E-mail address is already verified");
     }
 
-    // Upload the new avatar image to Cloudinary
-    const avatarImage = await uploadOnCloudinary(avatarImageLocalPath);
+    await sendEmailVerification(req.user, req.user.email);
 
-    // If Cloudinary did not return a URL, throw an error
-    if (!avatarImage.url) {
-        throw new ApiError(400, "Error while uploading the avatar to Cloudinary");
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Verification e-mail sent"));
+});
+
+// Function to change the user's avatar
+const changeUserAvatar = asyncHandler(async (req, res) => {
+    
+    // Get the uploaded avatar file from the request
+    const avatarImageFile = req.file;
+
+    // If no file was uploaded, throw an error
+    if (!avatarImageFile?.path) {
+        throw new ApiError(400, "Avatar image file is missing");
     }
 
-    // Update the user's avatar URL in the database and return the new user object (excluding password)
-    const user = await User.findByIdAndUpdate(
+    // Store the new avatar first so the old one is only removed once the replacement exists
+    const avatarImage = await putFile(avatarImageFile.path, {
+        folder: "avatars",
+        extension: avatarImageFile.detectedExtension
+    });
+
+    // If storing failed, throw an error
+    if (!avatarImage) {
+        throw new ApiError(400, "Error while uploading the avatar");
+    }
+
+    // Swap in the new avatar and get the previous one back (the document as it was before the update)
+    const previousUser = await User.findByIdAndUpdate(
         req.user?._id,
         {
             $set: {
-                avatar: avatarImage.url, // Store the new Cloudinary URL in the DB
+                avatar: avatarImage.url, // Public URL of the new avatar
+                avatarAsset: { provider: avatarImage.provider, key: avatarImage.key }
             },
-        },
-        {
-            new: true, // Return the updated user document
         }
-    ).select("-password"); // Exclude password from the result
+    ).select("avatar avatarAsset");
+
+    // Remove the old file; a failure only leaves an unused file behind, so it does not fail the request
+    await deleteFile(resolveAsset(previousUser?.avatarAsset, previousUser?.avatar));
+
+    // Return the updated user object (excluding password)
+    const user = await User.findById(req.user?._id).select("-password");
 
     // Respond with success and the updated user data
     return res
@@ -465,49 +877,41 @@ const changeUserAvatar = asyncHandler(async (req, res) => {
 // Function to change the user's cover image
 const changeUserCoverImage = asyncHandler(async (req, res) => {
     
-    // Get the local file path of the uploaded cover image from the request
-    const coverImageLocalPath = req.file?.path;
+    // Get the uploaded cover image file from the request
+    const coverImageFile = req.file;
 
     // If no file was uploaded, throw an error
-    if (!coverImageLocalPath) {
+    if (!coverImageFile?.path) {
         throw new ApiError(400, "Cover image file is missing");
     }
 
-    // Fetch the current coverImage's Cloudinary URL from the database (excluding _id)
-    const coverImageCloudinaryFilePath = (
-        await User.findById(req.user?._id).select("coverImage -_id")
-    ).coverImage;
-
-    // If an existing cover image exists on Cloudinary, attempt to delete it
-    if (coverImageCloudinaryFilePath) {
-        const oldCoverImage = await deletFromCloudinary(coverImageCloudinaryFilePath);
-
-        // If deletion failed, throw an error
-        if (!oldCoverImage) {
-            throw new ApiError(404, "Error while deleting file from Cloudinary");
-        }
-    }
-
-    // Upload the new cover image to Cloudinary
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+    // Store the new cover image first so the old one is only removed once the replacement exists
+    const coverImage = await putFile(coverImageFile.path, {
+        folder: "cover-images",
+        extension: coverImageFile.detectedExtension
+    });
 
-    // If Cloudinary did not return a URL, throw an error
-    if (!coverImage.url) {
-        throw new ApiError(400, "Error while uploading the cover image to Cloudinary");
+    // If storing failed, throw an error
+    if (!coverImage) {
+        throw new ApiError(400, "Error while uploading the cover image");
     }
 
-    // Update the user's coverImage URL in the database and return the new user object (excluding password)
-    const user = await User.findByIdAndUpdate(
+    // Swap in the new cover image and get the previous one back (the document as it was before the update)
+    const previousUser = await User.findByIdAndUpdate(
         req.user?._id,
         {
             $set: {
-                coverImage: coverImage.url, // Store the new Cloudinary URL in the DB
+                coverImage: coverImage.url, // Public URL of the new cover image
+                coverImageAsset: { provider: coverImage.provider, key: coverImage.key }
             },
-        },
-        {
-            new: true, // Return the updated user document
         }
-    ).select("-password"); // Exclude password from the result
+    ).select("coverImage coverImageAsset");
+
+    // Remove the old file; a failure only leaves an unused file behind, so it does not fail the request
+    await deleteFile(resolveAsset(previousUser?.coverImageAsset, previousUser?.coverImage));
+
+    // Return the updated user object (excluding password)
+    const user = await User.findById(req.user?._id).select("-password");
 
     // Respond with success and the updated user data
     return res
@@ -519,11 +923,6 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
     // Extract username from request parameters
     const { username } = req.params;
 
-    // Validate the username input
-    if (!username?.trim()) {
-        throw new ApiError(400, "username is missing");
-    }
-
     // Perform an aggregation query to fetch user channel profile and related data
     const channel = await User.aggregate(
         [
@@ -552,11 +951,24 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
                 }
             },
             {
-                // Add computed fields: subscribers count, subscriptions count, and isSubscribed flag
+                // Count the channel's community posts without loading them
+                $lookup: {
+                    from: "posts",
+                    localField: "_id",
+                    foreignField: "owner",
+                    as: "posts",
+                    pipeline: [{ $count: "count" }]
+                }
+            },
+            {
+                // Add computed fields: subscribers count, subscriptions count, posts count and isSubscribed flag
                 $addFields: {
                     subscribersCount: {
                         $size: "$subscribers"       // Count number of subscribers
                     },
+                    postsCount: {
+                        $ifNull: [{ $first: "$posts.count" }, 0] // Number of community posts
+                    },
                     channelSubscribedToCount: {
                         $size: "$subscribedTo"      // Count number of channels the user has subscribed to
                     },
@@ -579,6 +991,7 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
                     avatar: 1,
                     coverImage: 1,
                     subscribersCount: 1,
+                    postsCount: 1,
                     channelSubscribedToCount: 1,
                     isSubscribed: 1
                 }
@@ -613,10 +1026,19 @@ const getWatchHistory = asyncHandler(async (req, res) => {
                 from: "videos",                        // Collection to join with (videos)
                 localField: "watchHistory",            // Field in the User document (array of video IDs)
                 foreignField: "_id",                   // Matching field in the Video document (_id)
-                as: "watchHistory",                    // Output array field to store matched video documents
+                as: "videos",                          // Output array field to store matched video documents
                 
                 // Use a nested pipeline to further enrich the video data with owner info
                 pipeline: [
+                    {
+                        // Videos unpublished (or not ready) since they were watched are only kept for their owner
+                        $match: {
+                            $or: [PUBLIC_VIDEO_FILTER, { owner: new mongoose.Types.ObjectId(req.user._id) }]
+                        }
+                    },
+                    {
+                        $unset: HIDDEN_VIDEO_FIELDS
+                    },
                     {
                         // Lookup the 'owner' of each video from the 'users' collection
                         $lookup: {
@@ -646,25 +1068,41 @@ const getWatchHistory = asyncHandler(async (req, res) => {
                     }
                 ]
             }
+        },
+        {
+            // $lookup returns the videos in no particular order; put them back in watch history order
+            // (most recently watched first) and skip the ones that were filtered out or deleted
+            $project: {
+                watchHistory: {
+                    $filter: {
+                        input: {
+                            $map: {
+                                input: "$watchHistory",
+                                as: "videoId",
+                                in: {
+                                    $first: {
+                                        $filter: { input: "$videos", cond: { $eq: ["$$this._id", "$$videoId"] } }
+                                    }
+                                }
+                            }
+                        },
+                        cond: { $ne: ["$$this", null] }
+                    }
+                }
+            }
         }
     ]);
 
     return res
-    .status(200),
-    json(
-        new ApiResponse(200, user[0].watchHistory, "Watch history fetched successfully.")
-    )
-})
+        .status(200)
+        .json(new ApiResponse(200, user[0]?.watchHistory ?? [], "Watch history fetched successfully."));
+});
 
 const subscribeChannel = asyncHandler(async (req, res) => {
     const subscriberId = req.user._id; // Authenticated user making the request
     const { channelId } = req.body;    // ID of the user being subscribed to
 
-    // Validate input
-    if (!channelId) {
-        throw new ApiError(400, "Channel ID is required.");
-    }
-
+    // channelId is required and must be a valid id (checked by `validate(channelIdSchema)`)
     if (subscriberId.toString() === channelId) {
         throw new ApiError(400, "You cannot subscribe to your own channel.");
     }
@@ -675,39 +1113,202 @@ const subscribeChannel = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Channel not found.");
     }
 
-    // Check for an existing subscription
-    const alreadySubscribed = await Subscription.findOne({
+    // Create and save the new subscription
+    // The unique (subscriber, channel) index rejects duplicates atomically,
+    // so there is no separate findOne check that concurrent requests could slip past
+    let newSubscription;
+    try {
+        newSubscription = await Subscription.create({
+            subscriber: subscriberId,
+            channel: channelId
+        });
+    } catch (error) {
+        // 11000 = MongoDB duplicate key error
+        if (error?.code === 11000) {
+            throw new ApiError(400, "Already subscribed to this channel.");
+        }
+        throw error;
+    }
+
+    return res
+    .status(201)
+    .json(new ApiResponse(200, newSubscription, "Channel subscribed successfully."));
+});
+
+const unsubscribeChannel = asyncHandler(async (req, res) => {
+    const subscriberId = req.user._id; // Authenticated user making the request
+    const { channelId } = req.body;    // ID of the channel to unsubscribe from
+
+    // channelId is required and must be a valid id (checked by `validate(channelIdSchema)`)
+    // Remove the subscription in a single atomic operation
+    const subscription = await Subscription.findOneAndDelete({
         subscriber: subscriberId,
         channel: channelId
     });
 
-    if (alreadySubscribed) {
-        throw new ApiError(400, "Already subscribed to this channel.");
+    if (!subscription) {
+        throw new ApiError(404, "You are not subscribed to this channel.");
     }
 
-    // Create and save the new subscription
-    const newSubscription = await Subscription.create({
-        subscriber: subscriberId,
-        channel: channelId
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Channel unsubscribed successfully."));
+});
+
+// Builds the aggregation stages that turn a user id stored in `userField`
+// into a public user card ({ _id, username, fullName, avatar, isSubscribed, subscribedAt })
+// `isSubscribed` tells whether the viewer (logged-in user) follows that user
+const userCardStages = (userField, viewerId) => [
+    {
+        // Fetch the public profile of the referenced user
+        $lookup: {
+            from: "users",
+            localField: userField,
+            foreignField: "_id",
+            as: "user",
+            pipeline: [
+                {
+                    $project: {
+                        username: 1,
+                        fullName: 1,
+                        avatar: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        // Flatten the lookup result to a single object
+        $addFields: {
+            user: { $first: "$user" }
+        }
+    },
+    {
+        // Check whether the viewer is subscribed to this user (anonymous viewers never are)
+        $lookup: {
+            from: "subscriptions",
+            let: { userId: "$user._id" },
+            pipeline: [
+                {
+                    $match: {
+                        $expr: {
+                            $and: [
+                                { $eq: ["$channel", "$$userId"] },
+                                { $eq: ["$subscriber", viewerId ?? null] }
+                            ]
+                        }
+                    }
+                },
+                { $limit: 1 }
+            ],
+            as: "viewerSubscription"
+        }
+    },
+    {
+        // Shape the final entry
+        $project: {
+            _id: "$user._id",
+            username: "$user.username",
+            fullName: "$user.fullName",
+            avatar: "$user.avatar",
+            isSubscribed: {
+                $gt: [{ $size: "$viewerSubscription" }, 0]
+            },
+            subscribedAt: "$createdAt"
+        }
+    }
+];
+
+// Controller to list the users subscribed to a channel (paginated)
+const getChannelSubscribers = asyncHandler(async (req, res) => {
+    const { username } = req.params;
+
+    const channel = await User.findOne({ username: username.toLowerCase() }).select("_id");
+
+    if (!channel) {
+        throw new ApiError(404, "Channel does not exists");
+    }
+
+    const aggregate = Subscription.aggregate([
+        {
+            // Only subscriptions pointing to this channel
+            $match: { channel: channel._id }
+        },
+        {
+            // Newest subscribers first
+            $sort: { createdAt: -1, _id: -1 }
+        },
+        ...userCardStages("subscriber", req.user?._id)
+    ]);
+
+    const subscribers = await Subscription.aggregatePaginate(aggregate, {
+        ...getPaginationOptions(req.query),
+        customLabels: {
+            docs: "subscribers",
+            totalDocs: "totalSubscribers"
+        }
     });
 
     return res
-    .status(201)
-    .json(new ApiResponse(200, newSubscription, "Channel subscribed successfully."));
+        .status(200)
+        .json(new ApiResponse(200, subscribers, "Subscribers fetched successfully."));
+});
+
+// Controller to list the channels a user is subscribed to (paginated)
+const getUserSubscriptions = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const user = await User.findById(id).select("_id");
+
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    const aggregate = Subscription.aggregate([
+        {
+            // Only subscriptions made by this user
+            $match: { subscriber: user._id }
+        },
+        {
+            // Most recently followed channels first
+            $sort: { createdAt: -1, _id: -1 }
+        },
+        ...userCardStages("channel", req.user?._id)
+    ]);
+
+    const subscriptions = await Subscription.aggregatePaginate(aggregate, {
+        ...getPaginationOptions(req.query),
+        customLabels: {
+            docs: "channels",
+            totalDocs: "totalChannels"
+        }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, subscriptions, "Subscriptions fetched successfully."));
 });
 
 // Export the registerUser function so it can be used in route definitions
 export { 
     registerUser, 
     loginUser, 
+    verifyTwoFactorLogin,
     logoutUser, 
     refreshAccessToken, 
     chnageCurrentPassword, 
+    forgotPassword,
+    resetPassword,
     getAccountDetails, 
     changeAccountDetails,
+    verifyEmail,
+    resendEmailVerification,
     changeUserAvatar,
     changeUserCoverImage,
     getUserChannelProfile,
     getWatchHistory,
-    subscribeChannel
+    subscribeChannel,
+    unsubscribeChannel,
+    getChannelSubscribers,
+    getUserSubscriptions
 };
\ No newline at end of file
@@ -0,0 +1,654 @@
+// asyncHandler wraps async controllers and forwards any thrown error to Express via next()
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video, PUBLIC_VIDEO_FILTER, HIDDEN_VIDEO_FIELDS } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import {
+    putFile,
+    deleteFile,
+    resolveAsset,
+    getFileUrl,
+    statFile,
+    canReadFile,
+    createFileReadStream
+} from "../utils/storage/storage.js";
+import { getViewerKey, countView, addToWatchHistory } from "../utils/viewCounter.js";
+import { readVideoMetadata } from "../utils/videoMetadata/videoMetadata.js";
+import { VIDEO_MIME_TYPES } from "../utils/fileType.js";
+import { enqueueJob, getJobStatus } from "../utils/jobs/jobQueue.js";
+import { PROCESS_VIDEO_JOB } from "../jobs/processVideo.job.js";
+import { UploadSession, FINALIZE_TIMEOUT_MS, notReceivingChunk } from "../models/uploadSession.model.js";
+import { releaseUploadQuota } from "../utils/uploadQuota.js";
+import { parseChecksum, hashFile } from "../utils/resumableUpload.js";
+import { PENDING_UPLOAD_DIR } from "../constants.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import { moveFile } from "../utils/moveFile.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import mongoose from "mongoose";
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+
+// Helper to load a video and make sure the authenticated user is its owner
+// Used by every controller that changes or deletes a video
+// The id format is already checked by `validate(videoIdSchema)` on the route
+const findOwnedVideo = async (videoId, userId) => {
+    const video = await Video.findById(videoId);
+
+    if (!video) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    // Only the user who uploaded the video may modify it
+    if (video.owner?.toString() !== userId?.toString()) {
+        throw new ApiError(403, "You are not allowed to modify this video");
+    }
+
+    return video;
+};
+
+// Longest video that can be uploaded, in seconds (VIDEO_MAX_DURATION_SECONDS, default one hour)
+const getMaxVideoDuration = () => Number(process.env.VIDEO_MAX_DURATION_SECONDS) || 3600;
+
+// Helper to read duration, resolution and codec from an uploaded video file
+// The values come from the container itself, never from the client
+const inspectVideoFile = async (filePath) => {
+    const metadata = await readVideoMetadata(filePath);
+
+    if (!metadata) {
+        const message = "videoFile is not a valid video (its duration or video track could not be read)";
+        throw new ApiError(400, message, [{ field: "videoFile", code: "invalid_video", message }]);
+    }
+
+    const maxDuration = getMaxVideoDuration();
+
+    if (metadata.duration > maxDuration) {
+        const message = `videoFile must be at most ${maxDuration} seconds long`;
+        throw new ApiError(400, message, [{ field: "videoFile", code: "video_too_long", message }]);
+    }
+
+    return metadata;
+};
+
+// Controller to list videos with pagination, text search, owner filter and sorting
+// `sortBy` / `sortType` and `userId` are checked by `validate(getAllVideosSchema)`
+const getAllVideos = asyncHandler(async (req, res) => {
+    const {
+        query,
+        userId,
+        username,
+        sortBy = "createdAt",
+        sortType = "desc"
+    } = req.query;
+
+    // Only published, ready videos are listed, except the caller's own videos which are always visible
+    const match = req.user
+        ? { $or: [PUBLIC_VIDEO_FILTER, { owner: new mongoose.Types.ObjectId(req.user._id) }] }
+        : PUBLIC_VIDEO_FILTER;
+
+    const filters = [match];
+
+    // Case-insensitive search over title and description
+    if (query?.trim()) {
+        const pattern = new RegExp(escapeRegex(query.trim()), "i");
+        filters.push({ $or: [{ title: pattern }, { description: pattern }] });
+    }
+
+    // Filter by owner, either directly by id or by resolving a username first
+    if (userId) {
+        filters.push({ owner: new mongoose.Types.ObjectId(userId) });
+    } else if (username?.trim()) {
+        const owner = await User.findOne({ username: username.trim().toLowerCase() }).select("_id");
+
+        if (!owner) {
+            throw new ApiError(404, "Channel does not exists");
+        }
+        filters.push({ owner: owner._id });
+    }
+
+    const aggregate = Video.aggregate([
+        {
+            // Combine visibility, search and owner filters
+            $match: { $and: filters }
+        },
+        {
+            $unset: HIDDEN_VIDEO_FIELDS
+        },
+        {
+            // Sort before the owner lookup so only the requested page gets joined;
+            // _id is used as a tie-breaker to keep page boundaries stable
+            $sort: {
+                [sortBy]: sortType === "asc" ? 1 : -1,
+                _id: sortType === "asc" ? 1 : -1
+            }
+        },
+        {
+            // Attach the owner's public profile, same projection as the watch history
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            // Flatten the owner array to a single object
+            $addFields: {
+                owner: { $first: "$owner" }
+            }
+        }
+    ]);
+
+    // aggregatePaginate runs the pipeline for the requested page and counts the total matches
+    const videos = await Video.aggregatePaginate(aggregate, {
+        ...getPaginationOptions(req.query),
+        customLabels: {
+            docs: "videos",
+            totalDocs: "totalVideos"
+        }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, videos, "Videos fetched successfully"));
+});
+
+// Helper to take a finished resumable upload (see upload.controller.js) for publishing
+// The claim is atomic, so the same upload cannot be published twice by concurrent requests
+const claimCompletedUpload = async (uploadId, userId) => {
+    const session = await UploadSession.findOne({ _id: uploadId, owner: userId, expiresAt: { $gt: new Date() } });
+
+    if (!session) {
+        const message = "uploadId does not match an upload of yours, or it expired";
+        throw new ApiError(404, message, [{ field: "uploadId", code: "not_found", message }]);
+    }
+
+    if (session.offset < session.size) {
+        const message = `The upload is not complete (${session.offset} of ${session.size} bytes received)`;
+        throw new ApiError(409, message, [{ field: "uploadId", code: "upload_incomplete", message }]);
+    }
+
+    // Pushing the expiry back keeps the sweeper from removing the upload while it is being published
+    const claimed = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: "uploading", ...notReceivingChunk() },
+        { $set: { status: "finalizing", expiresAt: new Date(Date.now() + FINALIZE_TIMEOUT_MS) } },
+        { new: true }
+    );
+
+    if (!claimed) {
+        throw new ApiError(409, "This upload is already being published");
+    }
+
+    return claimed;
+};
+
+// Helper to compare a finished upload with the checksum announced when it was created
+const verifyUploadChecksum = async (session) => {
+    const { algorithm, digest } = parseChecksum(session.checksum);
+
+    if ((await hashFile(session.filePath, algorithm)) !== digest) {
+        const message = "The uploaded file does not match its checksum, cancel the upload and send the file again";
+        throw new ApiError(460, message, [{ field: "uploadId", code: "checksum_mismatch", message }]);
+    }
+};
+
+// Controller to upload a new video along with its thumbnail
+// The video is either sent in this request (`videoFile`) or was sent beforehand as a resumable upload (`uploadId`)
+const publishAVideo = asyncHandler(async (req, res) => {
+    // Extract text fields from the multipart body
+    // title and description are required by the Video schema and checked by `validate(publishVideoSchema)`
+    const { title, description, uploadId } = req.body;
+
+    // Retrieve the uploaded video and thumbnail (only the first file of each field is used)
+    const videoFileUpload = req.files?.videoFile?.[0];
+    const thumbnailUpload = req.files?.thumbnail?.[0];
+
+    if (videoFileUpload && uploadId) {
+        throw new ApiError(400, "Send either a videoFile or the uploadId of a resumable upload, not both");
+    }
+
+    if (!videoFileUpload && !uploadId) {
+        throw new ApiError(400, "Video file is required");
+    }
+
+    if (!thumbnailUpload) {
+        throw new ApiError(400, "Thumbnail file is required");
+    }
+
+    const session = uploadId ? await claimCompletedUpload(uploadId, req.user._id) : null;
+    const videoFilePath = session ? session.filePath : videoFileUpload.path;
+
+    let metadata;
+    let thumbnail;
+    let pendingPath;
+
+    try {
+        if (session?.checksum) {
+            await verifyUploadChecksum(session);
+        }
+
+        // Reject broken or too long videos before anything is stored
+        metadata = await inspectVideoFile(videoFilePath);
+
+        // The thumbnail is small, so it is stored right away
+        thumbnail = await putFile(thumbnailUpload.path, {
+            folder: "thumbnails",
+            extension: thumbnailUpload.detectedExtension
+        });
+
+        if (!thumbnail) {
+            throw new ApiError(400, "Error while uploading the thumbnail");
+        }
+
+        // The video file is stored in the background (see jobs/processVideo.job.js), so the request does not
+        // wait for a large upload. Move it out of the temp (or resumable upload) folder, which is cleaned up
+        pendingPath = path.join(PENDING_UPLOAD_DIR, path.basename(videoFilePath));
+        await fs.promises.mkdir(PENDING_UPLOAD_DIR, { recursive: true });
+        await moveFile(videoFilePath, pendingPath);
+    } catch (error) {
+        // The resumable upload was not used: it can be published again (or cancelled) until it expires
+        if (session) {
+            await UploadSession.updateOne({ _id: session._id, status: "finalizing" }, { $set: { status: "uploading" } });
+        }
+        if (thumbnail) await deleteFile(thumbnail);
+        throw error;
+    }
+
+    // The file now belongs to the video, and its size no longer counts against the upload quota
+    if (session) {
+        const deleted = await UploadSession.findOneAndDelete({ _id: session._id });
+        if (deleted) await releaseUploadQuota(deleted.owner, deleted.size);
+    }
+
+    let video = null;
+
+    try {
+        // Create the video record with the metadata read from the file; it becomes watchable once processed
+        video = await Video.create({
+            title: title.trim(),
+            description: description.trim(),
+            thumbnail: thumbnail.url,
+            thumbnailAsset: { provider: thumbnail.provider, key: thumbnail.key },
+            duration: metadata.duration,
+            width: metadata.width,
+            height: metadata.height,
+            codec: metadata.codec,
+            size: metadata.size,
+            status: "processing",
+            owner: req.user._id
+        });
+
+        const job = await enqueueJob(PROCESS_VIDEO_JOB, {
+            videoId: video._id,
+            filePath: pendingPath,
+            extension: `.${metadata.container}`
+        });
+
+        video.processingJob = job._id;
+        await video.save();
+    } catch (error) {
+        // Do not leave a video that will never be processed, or its files, behind
+        if (video) await Video.deleteOne({ _id: video._id });
+        await fs.promises.rm(pendingPath, { force: true });
+        await deleteFile(thumbnail);
+        throw error;
+    }
+
+    // 202 Accepted: the upload was received, poll GET /videos/:videoId/status until it is ready
+    return res
+        .status(202)
+        .json(new ApiResponse(202, video, "Video uploaded, it will be available once processed"));
+});
+
+// Controller to fetch a single video by its id
+const getVideoById = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    // Fetch the video together with a minimal projection of its owner
+    const video = await Video.findById(videoId).populate(
+        "owner",
+        "fullName username avatar"
+    );
+
+    if (!video) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    // Unpublished videos, and videos still being processed, are only visible to their owner
+    const isOwner = video.owner?._id?.toString() === req.user?._id?.toString();
+    if (!(video.isPublished && video.status === "ready") && !isOwner) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    // Like/dislike counts and the viewer's own reaction, as in the likes API
+    const reactions = await Like.getReactionSummary("Video", video._id, req.user?._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { ...video.toJSON(), ...reactions }, "Video fetched successfully"));
+});
+
+// Helper for If-Range: a range request only applies if the file did not change since the client's copy
+// A strong ETag must match exactly; a date must not be older than the file's last modification
+const isRangeStillValid = (ifRange, etag, lastModified) => {
+    if (!ifRange) return true;
+
+    if (ifRange.startsWith("\"") || ifRange.startsWith("W/")) {
+        return ifRange === etag;
+    }
+
+    const date = Date.parse(ifRange);
+
+    // HTTP dates have a one-second precision
+    return !Number.isNaN(date) && Math.floor(lastModified.getTime() / 1000) * 1000 <= date;
+};
+
+// Helper to count a view without failing the request it belongs to
+const countViewSafely = async (req, res, video) => {
+    try {
+        await countView(video._id, getViewerKey(req, res));
+    } catch (error) {
+        console.error(`Error while counting a view of video ${video._id}:`, error);
+    }
+};
+
+// Controller to stream a video file, with HTTP range requests so players can seek
+// Files kept by a hosted provider (e.g. Cloudinary) are served by the provider: the client is redirected there
+const streamVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    const video = await Video.findById(videoId).select("owner isPublished status videoFile videoFileAsset");
+
+    if (!video) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    // Same visibility rules as getVideoById: only the owner can watch an unpublished video
+    const isOwner = video.owner?.toString() === req.user?._id?.toString();
+    if (!(video.isPublished && video.status === "ready") && !isOwner) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    if (video.status !== "ready") {
+        throw new ApiError(409, "The video file is not available yet, see GET /videos/:videoId/status");
+    }
+
+    const asset = resolveAsset(video.videoFileAsset, video.videoFile);
+
+    if (!asset) {
+        throw new ApiError(404, "Video file not found");
+    }
+
+    // The owner watching their own video is not a view; HEAD requests and later parts of the file
+    // (seeking, or a player fetching the rest) are not the start of a view either
+    const shouldCountView = req.method === "GET" && !isOwner;
+
+    if (!canReadFile(asset)) {
+        if (shouldCountView) await countViewSafely(req, res, video);
+        return res.redirect(302, getFileUrl(asset));
+    }
+
+    const stats = await statFile(asset);
+
+    if (!stats) {
+        throw new ApiError(404, "Video file not found");
+    }
+
+    const { size, lastModified } = stats;
+    const etag = `"${size.toString(16)}-${lastModified.getTime().toString(16)}"`;
+
+    res.set({
+        "Accept-Ranges": "bytes",
+        "ETag": etag,
+        "Last-Modified": lastModified.toUTCString(),
+        // Visibility can change at any time, so caches must check back before reusing the file
+        "Cache-Control": "private, no-cache"
+    });
+
+    // If-None-Match / If-Modified-Since matched the headers set above
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    let start = 0;
+    let end = size - 1;
+
+    if (req.get("Range") && size > 0 && isRangeStillValid(req.get("If-Range"), etag, lastModified)) {
+        const ranges = req.range(size, { combine: true });
+
+        if (ranges === -1) {
+            res.set("Content-Range", `bytes */${size}`);
+            throw new ApiError(416, "Requested range not satisfiable");
+        }
+
+        // Malformed headers and several ranges at once are answered with the whole file
+        if (Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1) {
+            ({ start, end } = ranges[0]);
+            res.status(206).set("Content-Range", `bytes ${start}-${end}/${size}`);
+        }
+    }
+
+    if (shouldCountView && start === 0) {
+        await countViewSafely(req, res, video);
+    }
+
+    res.type(VIDEO_MIME_TYPES[path.extname(asset.key)] || "application/octet-stream");
+    res.set("Content-Length", String(Math.max(end - start + 1, 0)));
+
+    if (req.method === "HEAD" || size === 0) {
+        return res.end();
+    }
+
+    try {
+        await pipeline(createFileReadStream(asset, { start, end }), res);
+    } catch (error) {
+        // The viewer closing the player in the middle of the file is not an error
+        if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+            console.error(`Error while streaming video ${video._id}:`, error);
+        }
+    }
+});
+
+// Controller to record that the caller watched a video (called by players, e.g. once playback starts)
+// Each viewer counts once per dedup window and the owner never counts; logged-in viewers also get
+// the video at the front of their watch history
+const recordView = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    const video = await Video.findById(videoId).select("owner isPublished status");
+
+    if (!video) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    // Same visibility rules as getVideoById
+    const isOwner = video.owner?.toString() === req.user?._id?.toString();
+    if (!(video.isPublished && video.status === "ready") && !isOwner) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    if (video.status !== "ready") {
+        throw new ApiError(409, "The video cannot be watched yet, see GET /videos/:videoId/status");
+    }
+
+    const counted = isOwner ? false : await countView(video._id, getViewerKey(req, res));
+
+    if (req.user) {
+        await addToWatchHistory(req.user._id, video._id);
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { counted }, counted ? "View recorded" : "View already recorded"));
+});
+
+// Controller to update a video's title, description and/or thumbnail
+const updateVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+    const { title, description } = req.body;
+    const thumbnailUpload = req.file;
+
+    // At least one field must be provided, otherwise there is nothing to update
+    if (!title?.trim() && !description?.trim() && !thumbnailUpload) {
+        throw new ApiError(400, "Provide a title, description or thumbnail to update");
+    }
+
+    const video = await findOwnedVideo(videoId, req.user._id);
+
+    if (title?.trim()) {
+        video.title = title.trim();
+    }
+
+    if (description?.trim()) {
+        video.description = description.trim();
+    }
+
+    // Previous thumbnail, removed once the video points at its replacement
+    let oldThumbnail = null;
+
+    if (thumbnailUpload) {
+        // Store the new thumbnail first so the old one is only removed once the replacement exists
+        const thumbnail = await putFile(thumbnailUpload.path, {
+            folder: "thumbnails",
+            extension: thumbnailUpload.detectedExtension
+        });
+
+        if (!thumbnail) {
+            throw new ApiError(400, "Error while uploading the thumbnail");
+        }
+
+        oldThumbnail = resolveAsset(video.thumbnailAsset, video.thumbnail);
+        video.thumbnail = thumbnail.url;
+        video.thumbnailAsset = { provider: thumbnail.provider, key: thumbnail.key };
+    }
+
+    await video.save();
+
+    await deleteFile(oldThumbnail);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, video, "Video updated successfully"));
+});
+
+// Controller to delete a video and its stored files
+const deleteVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    const video = await findOwnedVideo(videoId, req.user._id);
+
+    // Remove the database record first so the video disappears from listings immediately
+    await Video.findByIdAndDelete(video._id);
+
+    // Comments and reactions cannot exist without their video
+    const commentIds = await Comment.find({ video: video._id }).distinct("_id");
+    await Comment.deleteMany({ video: video._id });
+    await Like.deleteMany({
+        $or: [
+            { targetType: "Video", target: video._id },
+            { targetType: "Comment", target: { $in: commentIds } }
+        ]
+    });
+
+    // Remove the video from every playlist that contained it
+    await Playlist.updateMany({ videos: video._id }, { $pull: { videos: video._id } });
+
+    // Remove the stored files (a failure only leaves unused files behind, the video is already gone)
+    await deleteFile(resolveAsset(video.videoFileAsset, video.videoFile));
+    await deleteFile(resolveAsset(video.thumbnailAsset, video.thumbnail));
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Video deleted successfully"));
+});
+
+// Controller to follow the processing of an uploaded video (owner only)
+const getVideoStatus = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    const video = await Video.findById(videoId).select("owner status processingError processingJob");
+
+    if (!video) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    if (video.owner?.toString() !== req.user._id.toString()) {
+        throw new ApiError(403, "Only the owner can see the processing status of this video");
+    }
+
+    // Finished jobs are removed after a while; the video status is what matters then
+    const job = video.processingJob ? await getJobStatus(video.processingJob) : null;
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    status: video.status,
+                    processingError: video.processingError,
+                    job: job && {
+                        status: job.status,
+                        attempts: job.attempts,
+                        maxAttempts: job.maxAttempts,
+                        // Only meaningful while the job waits for its (next) attempt
+                        nextAttemptAt: job.status === "queued" ? job.runAt : null,
+                        finishedAt: job.finishedAt
+                    }
+                },
+                "Video status fetched successfully"
+            )
+        );
+});
+
+// Controller to publish or unpublish a video
+const togglePublishStatus = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    const video = await findOwnedVideo(videoId, req.user._id);
+
+    // A video taken down by staff stays unpublished until staff restore it
+    if (!video.isPublished && video.moderatedAt) {
+        throw new ApiError(403, "This video was taken down by a moderator and cannot be published");
+    }
+
+    // Flip the current publish flag
+    video.isPublished = !video.isPublished;
+    await video.save();
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { isPublished: video.isPublished },
+                video.isPublished ? "Video published" : "Video unpublished"
+            )
+        );
+});
+
+export {
+    getAllVideos,
+    publishAVideo,
+    getVideoById,
+    streamVideo,
+    recordView,
+    updateVideo,
+    deleteVideo,
+    getVideoStatus,
+    togglePublishStatus
+};
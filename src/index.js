@@ -3,14 +3,50 @@ import dotenv from "dotenv";
 import express from "express";
 import connectDB from "./db/db_index.js";
 import { app } from "./app.js"
+import { TEMP_UPLOAD_DIR, RESUMABLE_UPLOAD_DIR } from "./constants.js";
+import { startTempFileSweeper } from "./utils/tempFileSweeper.js";
+import { startUploadSessionSweeper } from "./utils/uploadSessionSweeper.js";
+import { registerJobHandler, startJobWorker } from "./utils/jobs/jobQueue.js";
+import { PROCESS_VIDEO_JOB, processVideoJob } from "./jobs/processVideo.job.js";
+import { initMailTransport } from "./utils/mail/mailer.js";
 
 dotenv.config({
     path: './env'
 })
 
+// Fail fast when no mail transport is configured (see mailer.js)
+initMailTransport();
+
 connectDB()
 .then( () => {
     const RUNNING_PORT = process.env.PORT ?? 8000;
+
+    // Remove uploads older than TEMP_UPLOAD_MAX_AGE_MINUTES (default 60) left in the temp folder
+    startTempFileSweeper({
+        directory: TEMP_UPLOAD_DIR,
+        maxAgeMs: Number(process.env.TEMP_UPLOAD_MAX_AGE_MINUTES || 60) * 60 * 1000,
+        intervalMs: 15 * 60 * 1000
+    });
+
+    // Remove files of abandoned resumable uploads: every chunk touches the file and extends the upload
+    // by RESUMABLE_UPLOAD_EXPIRY_HOURS (default 24), so a file that old belongs to an expired upload
+    startTempFileSweeper({
+        directory: RESUMABLE_UPLOAD_DIR,
+        maxAgeMs: Number(process.env.RESUMABLE_UPLOAD_EXPIRY_HOURS || 24) * 60 * 60 * 1000,
+        intervalMs: 60 * 60 * 1000
+    });
+
+    // Remove expired resumable uploads and give their bytes back to the owner's upload quota
+    startUploadSessionSweeper({ intervalMs: 10 * 60 * 1000 });
+
+    // Background jobs (e.g. storing uploaded videos) run in this process; set JOB_WORKER=false
+    // on instances that should only serve requests
+    registerJobHandler(PROCESS_VIDEO_JOB, processVideoJob);
+
+    if (process.env.JOB_WORKER !== "false") {
+        startJobWorker();
+    }
+
     app.listen(RUNNING_PORT, () => {
         console.log(`Server is running on PORT : ${RUNNING_PORT}`); 
     })
@@ -0,0 +1,70 @@
+// Import fs to remove the pending upload once it is no longer needed
+import fs from "fs";
+
+import { Video } from "../models/video.model.js";
+import { storeFile, deleteFile } from "../utils/storage/storage.js";
+
+// Job type enqueued by `publishAVideo`
+export const PROCESS_VIDEO_JOB = "process_video";
+
+// Locally stored videos are not served as static files but by the streaming route, which checks
+// the video's visibility; STORAGE_PUBLIC_URL is this server's public address, as for other local files
+const getVideoStreamUrl = (videoId) =>
+    `${(process.env.STORAGE_PUBLIC_URL || "").replace(/\/+$/, "")}/api/v1/videos/${videoId}/stream`;
+
+/**
+ * Background processing of an uploaded video: store the file with the configured storage driver
+ * (the slow part, e.g. an upload to Cloudinary) and mark the video as ready.
+ * Duration and resolution were already read from the file when it was received (see publishAVideo).
+ *
+ * Payload: { videoId, filePath, extension } where filePath is the pending upload (see PENDING_UPLOAD_DIR)
+ */
+export const processVideoJob = {
+    run: async (job) => {
+        const { videoId, filePath, extension } = job.payload;
+
+        const video = await Video.findById(videoId).select("status");
+
+        // Deleted by its owner in the meantime: only the pending file is left to clean up
+        if (!video || video.status !== "processing") {
+            await fs.promises.rm(filePath, { force: true });
+            return { skipped: true };
+        }
+
+        // Throws if storing fails, so the queue retries later; the pending file stays until then
+        const stored = await storeFile(filePath, { folder: "videos", extension });
+
+        // Conditional update: the video may have been deleted while the file was being stored
+        const updated = await Video.findOneAndUpdate(
+            { _id: videoId, status: "processing" },
+            {
+                $set: {
+                    videoFile: stored.provider === "local" ? getVideoStreamUrl(videoId) : stored.url,
+                    videoFileAsset: { provider: stored.provider, key: stored.key },
+                    status: "ready",
+                    processingError: null
+                }
+            }
+        );
+
+        if (!updated) {
+            await deleteFile(stored);
+            return { skipped: true };
+        }
+
+        return { provider: stored.provider, key: stored.key };
+    },
+
+    // Every attempt failed: tell the owner and drop the pending file
+    // (the technical reason stays in the job's `lastError`, it may mention internals)
+    onDead: async (job) => {
+        const { videoId, filePath } = job.payload;
+
+        await Video.updateOne(
+            { _id: videoId, status: "processing" },
+            { $set: { status: "failed", processingError: "The video could not be processed, please upload it again" } }
+        );
+
+        await fs.promises.rm(filePath, { force: true });
+    }
+};
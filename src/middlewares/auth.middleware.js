@@ -1,6 +1,9 @@
 // Importing the User model to fetch user info from the database
 import { User } from "../models/user.model.js";
 
+// Importing the Session model to check that the token's device session is still active
+import { Session } from "../models/session.model.js";
+
 // Importing custom error handler class for structured API errors
 import { ApiError } from "../utils/ApiError.js";
 
@@ -10,6 +13,26 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 // Importing jsonwebtoken library to verify the JWT token
 import jwt from "jsonwebtoken";
 
+// How often (at most) a session's `lastUsedAt` is refreshed by authenticated requests
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Make sure the session an access token was issued for has not been revoked (logout, "log out everywhere else")
+// Tokens without a session id were issued before sessions existed and are accepted until they expire
+const assertActiveSession = async (decodedToken) => {
+    if (!decodedToken?.sid) return;
+
+    const session = await Session.findOne({ _id: decodedToken.sid, user: decodedToken._id });
+
+    if (!session || !session.isActive()) {
+        throw new ApiError(401, "Session has been revoked");
+    }
+
+    // Keep `lastUsedAt` roughly up to date without writing on every request
+    if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+        await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
+    }
+};
+
 // Middleware to verify JWT from request cookies or Authorization header
 export const verifyJwt = asyncHandler(async (req, res, next) => {
     try {
@@ -24,6 +47,9 @@ export const verifyJwt = asyncHandler(async (req, res, next) => {
         // Verify and decode the token using the secret key
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
 
+        // Reject tokens whose device session was logged out or revoked
+        await assertActiveSession(decodedToken);
+
         // Fetch the user from the database using ID from decoded token
         // Exclude sensitive fields like password and refreshToken
         const user = await User.findById(decodedToken._id).select("-password -refreshToken");
@@ -33,13 +59,22 @@ export const verifyJwt = asyncHandler(async (req, res, next) => {
             throw new ApiError(401, "Invalid Access Token");
         }
 
-        // Attach the user data to the request object for use in downstream routes
+        // Suspended accounts cannot use tokens issued before the suspension
+        if (user.suspendedAt) {
+            throw new ApiError(403, "Your account has been suspended");
+        }
+
+        // Attach the user data (and the current session id) to the request object for use in downstream routes
         req.user = user;
+        req.sessionId = decodedToken.sid;
 
         // Proceed to the next middleware or controller
         next();
 
     } catch (error) {
+        // Errors raised on purpose above (e.g., 403 for suspended accounts) keep their status
+        if (error instanceof ApiError) throw error;
+
         // If token is invalid or any other error occurs, respond with Unauthorized
         throw new ApiError(401, error?.message || "Invalid Access Token");
     }
@@ -59,17 +94,54 @@ export const getUserIfAuthenticated = asyncHandler(async (req, res, next) => {
         // Verify token and extract payload
         const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
 
+        // A revoked session is treated like an invalid token
+        await assertActiveSession(decoded);
+
         // Find user and exclude sensitive fields
         const user = await User.findById(decoded._id).select("-password -refreshToken");
 
+        // Suspended accounts cannot use tokens issued before the suspension
+        if (user?.suspendedAt) {
+            throw new ApiError(403, "Your account has been suspended");
+        }
+
         // If user is found, attach to request
         if (user) {
             req.user = user;
+            req.sessionId = decoded.sid;
         }
 
         return next(); // Always proceed to next middleware
     } catch (error) {
+        // Errors raised on purpose above (e.g., 403 for suspended accounts) keep their status
+        if (error instanceof ApiError) throw error;
+
         // Token is invalid or verification failed
         throw new ApiError(401, error?.message || "Invalid Access Token");
     }
-});
\ No newline at end of file
+});
+
+// Middleware for sensitive routes: only users who verified their e-mail address may continue
+// Must be placed after `verifyJwt`, which sets req.user
+export const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user?.emailVerified) {
+        throw new ApiError(403, "Please verify your e-mail address to use this feature");
+    }
+
+    next();
+};
+
+// Middleware factory restricting a route to the given roles, e.g. `authorize("admin", "moderator")`
+// Must be placed after `verifyJwt`; the role is read from the user record loaded by verifyJwt
+// (not from the token claims), so a role change takes effect immediately
+export const authorize = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        throw new ApiError(401, "Unauthorized request");
+    }
+
+    if (!roles.includes(req.user.role)) {
+        throw new ApiError(403, "You are not allowed to perform this action");
+    }
+
+    next();
+};
@@ -0,0 +1,126 @@
+// Importing mongoose to recognise its validation and cast errors
+import mongoose from "mongoose";
+
+// Importing multer to recognise upload errors (file too large, unexpected field, ...)
+import multer from "multer";
+
+// Importing jsonwebtoken to recognise invalid / expired token errors
+import jwt from "jsonwebtoken";
+
+// Importing the custom error class every controller throws
+import { ApiError } from "../utils/ApiError.js";
+
+// Convert any error thrown in the app into an ApiError with the right status code
+const toApiError = (error) => {
+    // Errors thrown on purpose by our own code are already in the right shape
+    if (error instanceof ApiError) {
+        return error;
+    }
+
+    // Schema validation failed (e.g., a required field is missing) -> 400 with one entry per field,
+    // in the same { field, code, message } shape as the request validation middleware
+    if (error instanceof mongoose.Error.ValidationError) {
+        const errors = Object.values(error.errors).map((fieldError) => ({
+            field: fieldError.path,
+            code: fieldError.kind,
+            message: fieldError.message
+        }));
+        return new ApiError(400, "Validation failed", errors, error.stack);
+    }
+
+    // A value could not be cast to the schema type (e.g., malformed ObjectId) -> 400
+    if (error instanceof mongoose.Error.CastError) {
+        return new ApiError(
+            400,
+            `Invalid value for ${error.path}`,
+            [{ field: error.path, code: "invalid_type", message: `Invalid value: ${error.value}` }],
+            error.stack
+        );
+    }
+
+    // MongoDB duplicate key error (unique index violated) -> 409 Conflict
+    if (error?.code === 11000) {
+        const fields = Object.keys(error.keyValue ?? error.keyPattern ?? {});
+        return new ApiError(
+            409,
+            fields.length ? `${fields.join(", ")} already exists` : "Duplicate value",
+            fields.map((field) => ({ field, code: "duplicate", message: `${field} already exists` })),
+            error.stack
+        );
+    }
+
+    // TokenExpiredError extends JsonWebTokenError, so it has to be checked first
+    if (error instanceof jwt.TokenExpiredError) {
+        return new ApiError(401, "Token has expired", [], error.stack);
+    }
+
+    if (error instanceof jwt.JsonWebTokenError) {
+        return new ApiError(401, "Invalid token", [], error.stack);
+    }
+
+    // Upload errors raised by multer
+    if (error instanceof multer.MulterError) {
+        const statusCode = error.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+        return new ApiError(
+            statusCode,
+            error.message,
+            error.field ? [{ field: error.field, code: error.code, message: error.message }] : [],
+            error.stack
+        );
+    }
+
+    // Errors raised by express.json() / express.urlencoded() while reading the body
+    if (error?.type === "entity.too.large") {
+        return new ApiError(413, "Request body is too large", [], error.stack);
+    }
+
+    if (error?.type === "entity.parse.failed") {
+        return new ApiError(400, "Malformed request body", [], error.stack);
+    }
+
+    // Anything else is an unexpected server error; its message may leak internals,
+    // so it is only exposed in development mode
+    const message = process.env.NODE_ENV === "development"
+        ? error?.message || "Internal Server Error"
+        : "Internal Server Error";
+
+    return new ApiError(500, message, [], error?.stack);
+};
+
+// Final error-handling middleware registered after all routes in app.js
+// Express recognises error handlers by their four arguments, so `next` must stay in the signature
+const errorHandler = (error, req, res, next) => {
+    // If the response is already being streamed, let Express close the connection
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    const apiError = toApiError(error);
+
+    // Guard against non-HTTP status codes sneaking in
+    const statusCode =
+        apiError.statusCode >= 400 && apiError.statusCode < 600 ? apiError.statusCode : 500;
+
+    // Log unexpected errors so they are not silently swallowed
+    if (statusCode >= 500) {
+        console.error(error);
+    }
+
+    // Same shape as ApiResponse, with `success: false` and the error details
+    return res.status(statusCode).json({
+        statusCode,
+        data: null,
+        message: apiError.message,
+        success: false,
+        errors: apiError.errors ?? [],
+        // Stack traces are only useful (and safe) while developing
+        ...(process.env.NODE_ENV === "development" ? { stack: apiError.stack } : {})
+    });
+};
+
+// Catch-all for requests that did not match any route
+const notFoundHandler = (req, res, next) => {
+    next(new ApiError(404, `Route not found: ${req.method} ${req.originalUrl}`));
+};
+
+export { errorHandler, notFoundHandler };
@@ -1,46 +1,195 @@
 // Import multer for handling multipart/form-data (primarily used for uploading files)
 import multer from "multer";
 
+// Import fs, path and stream to write uploads to disk while inspecting them
+import fs from "fs";
+import path from "path";
+import { Transform } from "stream";
+
+import { ApiError } from "../utils/ApiError.js";
+import { detectFileType, FILE_TYPE_HEADER_LENGTH } from "../utils/fileType.js";
+import { TEMP_UPLOAD_DIR } from "../constants.js";
+
+const MB = 1024 * 1024;
+
+// What each upload field accepts: the kind of file (detected from its content) and its maximum size
+const UPLOAD_FIELDS = {
+    avatar: { kind: "image", maxSize: 5 * MB },
+    coverImage: { kind: "image", maxSize: 10 * MB },
+    thumbnail: { kind: "image", maxSize: 5 * MB },
+    videoFile: { kind: "video", maxSize: 500 * MB }
+};
+
+// Human-readable list of the formats of each kind (see utils/fileType.js)
+const KIND_DESCRIPTIONS = {
+    image: "an image (JPEG, PNG, GIF or WebP)",
+    video: "a video (MP4, MOV, WebM or MKV)"
+};
+
+// Error for a file whose content is not of the kind its field accepts
+const invalidFileTypeError = (field, kind) => {
+    const message = `${field} must be ${KIND_DESCRIPTIONS[kind]}`;
+    return new ApiError(415, message, [{ field, code: "invalid_file_type", message }]);
+};
+
+// Error for a file larger than its field allows (413, like multer's own size limit)
+const fileTooLargeError = (field, maxSize) => {
+    const error = new multer.MulterError("LIMIT_FILE_SIZE", field);
+    error.message = `${field} must be at most ${maxSize / MB} MB`;
+    return error;
+};
+
 /**
- * Configure multer to store uploaded files on disk (locally)
- * using `diskStorage`, which allows customization of the destination folder
- * and filename logic for each file.
+ * Multer storage engine that writes uploads to `public/temp`, like `multer.diskStorage`,
+ * but checks every file while it arrives:
+ * - the first bytes must match the kind of file the field accepts (the client's mimetype is ignored)
+ * - the file must not exceed its field's size limit
+ * A file failing a check is removed at once and the request is rejected without reading the rest of it.
+ *
+ * The stored file's `mimetype` is the detected one and `detectedExtension` its usual extension.
  */
-const storage = multer.diskStorage({
-    /**
-     * destination: Specifies the folder where uploaded files will be stored temporarily.
-     * 
-     * @param {Object} req - The incoming request object
-     * @param {Object} file - The file object containing details about the uploaded file
-     * @param {Function} cb - Callback function to specify destination
-     */
-    destination: function (req, file, cb) {
-        cb(null, "./public/temp"); // Save all uploaded files in the `public/temp` directory
+const tempStorage = {
+    _handleFile(req, file, cb) {
+        const rule = UPLOAD_FIELDS[file.fieldname];
+
+        if (!rule) {
+            return cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname));
+        }
+
+        // Unique name made of the field name, the current timestamp and a random number
+        const filename = `${file.fieldname}-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+        const filePath = path.join(TEMP_UPLOAD_DIR, filename);
+
+        let header = Buffer.alloc(0);
+        let detected = null;
+        let size = 0;
+        let settled = false;
+
+        // Recognise the file once enough of it arrived (or at its end, for tiny files)
+        const checkType = () => {
+            detected = detectFileType(header);
+
+            if (!detected || detected.kind !== rule.kind) {
+                throw invalidFileTypeError(file.fieldname, rule.kind);
+            }
+        };
+
+        const inspector = new Transform({
+            transform(chunk, encoding, done) {
+                size += chunk.length;
+
+                if (size > rule.maxSize) {
+                    return done(fileTooLargeError(file.fieldname, rule.maxSize));
+                }
+
+                if (!detected) {
+                    header = Buffer.concat([header, chunk]);
+
+                    if (header.length >= FILE_TYPE_HEADER_LENGTH) {
+                        try {
+                            checkType();
+                        } catch (error) {
+                            return done(error);
+                        }
+                    }
+                }
+
+                done(null, chunk);
+            },
+
+            flush(done) {
+                try {
+                    if (!detected) checkType();
+                    done();
+                } catch (error) {
+                    done(error);
+                }
+            }
+        });
+
+        const output = fs.createWriteStream(filePath);
+
+        const fail = (error) => {
+            if (settled) return;
+            settled = true;
+
+            // Stop writing, throw away what was written and let the rest of the upload drain
+            file.stream.unpipe(inspector);
+            file.stream.resume();
+            output.destroy();
+            fs.unlink(filePath, () => {});
+
+            cb(error);
+        };
+
+        inspector.on("error", fail);
+        output.on("error", fail);
+
+        output.on("finish", () => {
+            if (settled) return;
+            settled = true;
+
+            cb(null, {
+                destination: TEMP_UPLOAD_DIR,
+                filename,
+                path: filePath,
+                size,
+                mimetype: detected.mimeType,
+                detectedExtension: detected.extension
+            });
+        });
+
+        file.stream.pipe(inspector).pipe(output);
     },
 
-    /**
-     * filename: Specifies how the uploaded file should be named on disk.
-     * 
-     * @param {Object} req - The incoming request object
-     * @param {Object} file - The file object
-     * @param {Function} cb - Callback function to specify file name
-     */
-    filename: function (req, file, cb) {
-        // Generate a unique suffix using current timestamp and a random number
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-
-        // Construct the new filename using the original field name + unique suffix
-        cb(null, file.fieldname + '-' + uniqueSuffix);
-
-        // Alternate option: Use original file name from user's device
-        // cb(null, file.originalname);
+    // Called by multer to undo the files of a request it rejects
+    _removeFile(req, file, cb) {
+        fs.unlink(file.path, (error) => cb(error?.code === "ENOENT" ? null : error));
+    }
+};
+
+/**
+ * Multer instance using the storage engine above.
+ * Its global size limit is the largest field limit; the per-field limits are checked by the engine.
+ */
+const multerUpload = multer({
+    storage: tempStorage,
+    limits: {
+        fileSize: Math.max(...Object.values(UPLOAD_FIELDS).map((rule) => rule.maxSize))
     }
 });
 
+// Remove the temp files of a request once its response is done. Controllers move the files they keep
+// into storage (see utils/storage), so anything still here was not used, e.g. because the request failed
+const removeTempFiles = (req) => {
+    const files = [req.file, ...Object.values(req.files ?? {}).flat()];
+
+    for (const file of files) {
+        if (file?.path) {
+            fs.unlink(file.path, () => {});
+        }
+    }
+};
+
+// Wrap a multer middleware so its temp files never outlive the request
+const withTempCleanup = (middleware) => (req, res, next) => {
+    res.once("close", () => removeTempFiles(req));
+
+    middleware(req, res, (error) => {
+        // A rejected upload stops multer in the middle of the body; read (and discard) the rest,
+        // otherwise the connection stays stuck and the client cannot send its next request on it
+        if (error) req.resume();
+
+        next(error);
+    });
+};
+
 /**
- * Create a multer instance using the defined storage configuration.
- * 
- * This instance (`upload`) can now be used as middleware in your routes
- * to handle file uploads (e.g., `upload.single("avatar")` or `upload.array("files")`)
+ * Upload middlewares, used in routes like multer's own:
+ * `upload.single("avatar")` or `upload.fields([{ name: "videoFile", maxCount: 1 }, ...])`.
+ * Only the fields listed in UPLOAD_FIELDS are accepted.
  */
-export const upload = multer({ storage: storage });
\ No newline at end of file
+export const upload = {
+    single: (fieldName) => withTempCleanup(multerUpload.single(fieldName)),
+    fields: (fields) => withTempCleanup(multerUpload.fields(fields))
+};
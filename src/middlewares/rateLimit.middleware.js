@@ -0,0 +1,103 @@
+// Importing the available rate-limit stores
+// Every store exposes the same interface: `increment(key, windowMs) => Promise<{ count, resetAt }>`
+import { createMemoryStore } from "../utils/rateLimit/memory.store.js";
+import { createMongoStore } from "../utils/rateLimit/mongo.store.js";
+
+// Importing custom error handler class for structured API errors
+import { ApiError } from "../utils/ApiError.js";
+
+// Importing a wrapper function that catches async errors (prevents need for repetitive try-catch blocks)
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+// Importing jsonwebtoken to read the user id out of a 2FA challenge token
+import jwt from "jsonwebtoken";
+
+// Store instance, created lazily on first use so environment variables are loaded by then
+let store = null;
+
+// Pick the store configured by RATE_LIMIT_STORE ("mongo" or "memory"; default "memory")
+const getStore = () => {
+    if (store) return store;
+
+    store = process.env.RATE_LIMIT_STORE === "mongo" ? createMongoStore() : createMemoryStore();
+
+    return store;
+};
+
+// Replace the store (e.g., with a fresh in-memory one in tests)
+const setRateLimitStore = (customStore) => {
+    store = customStore;
+};
+
+// Work out which account a request is about, so attempts are counted per account
+// even when they come from many different IP addresses
+const getAccountKey = (req) => {
+    // Authenticated routes (e.g. change-password)
+    if (req.user?._id) return req.user._id.toString();
+
+    // Login: the account being logged into
+    const identifier = req.body?.email || req.body?.username;
+    if (typeof identifier === "string" && identifier.trim()) {
+        return identifier.trim().toLowerCase();
+    }
+
+    // Second login step: the challenge token names the user; it is verified later by the controller
+    const challenge = req.body?.challengeToken ? jwt.decode(req.body.challengeToken) : null;
+    if (challenge?._id) return String(challenge._id);
+
+    return null;
+};
+
+/**
+ * Create a rate-limiting middleware.
+ * Requests are counted per IP address and/or per account within a fixed time window;
+ * once either counter goes over its limit the request is rejected with 429 and a Retry-After header.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Name of the limiter, keeps the counters of different routes apart
+ * @param {number} options.windowMs - Length of the time window in milliseconds
+ * @param {number} [options.maxPerIp] - Allowed requests per IP address in a window
+ * @param {number} [options.maxPerAccount] - Allowed requests per account in a window
+ * @param {string} [options.message] - Error message sent with the 429 response
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = ({
+    name,
+    windowMs,
+    maxPerIp,
+    maxPerAccount,
+    message = "Too many requests, please try again later"
+}) =>
+    asyncHandler(async (req, res, next) => {
+        const limits = [];
+
+        if (maxPerIp) {
+            limits.push({ key: `${name}:ip:${req.ip}`, max: maxPerIp });
+        }
+
+        const accountKey = maxPerAccount ? getAccountKey(req) : null;
+        if (accountKey) {
+            limits.push({ key: `${name}:account:${accountKey}`, max: maxPerAccount });
+        }
+
+        // Count this request against every limit and remember the latest reset of any exceeded one
+        let retryAt = null;
+
+        for (const { key, max } of limits) {
+            const { count, resetAt } = await getStore().increment(key, windowMs);
+
+            if (count > max && (!retryAt || resetAt > retryAt)) {
+                retryAt = resetAt;
+            }
+        }
+
+        if (retryAt) {
+            // Seconds until the client may try again (the error handler keeps headers set here)
+            res.set("Retry-After", String(Math.max(1, Math.ceil((retryAt.getTime() - Date.now()) / 1000))));
+            throw new ApiError(429, message);
+        }
+
+        next();
+    });
+
+export { rateLimit, setRateLimitStore };
@@ -0,0 +1,43 @@
+// Importing custom error handler class for structured API errors
+import { ApiError } from "../utils/ApiError.js";
+
+// Importing the field rules every schema is built from
+import { checkField } from "../validations/rules.js";
+
+// Parts of the request a schema can describe
+const REQUEST_PARTS = ["params", "query", "body"];
+
+/**
+ * Create a middleware that validates the request against a schema before the controller runs.
+ * All broken rules are reported at once in `ApiError.errors` as `{ field, code, message }`.
+ * The request is not modified: values with an `enum` are only accepted exactly as listed, so controllers
+ * can use them directly; free text is still trimmed, and numbers converted, by the controllers that use them.
+ *
+ * Place it after `verifyJwt` (so anonymous requests get 401 first)
+ * and after multer on multipart routes (multer is what fills `req.body` there).
+ *
+ * @param {Object} schema - { params?, query?, body? }, each mapping field names to descriptors
+ * @returns {Function} - Express middleware
+ */
+const validate = (schema) => (req, res, next) => {
+    const errors = [];
+
+    for (const part of REQUEST_PARTS) {
+        if (!schema[part]) continue;
+
+        // The body is undefined when a request has none
+        const values = req[part] ?? {};
+
+        for (const [field, descriptor] of Object.entries(schema[part])) {
+            errors.push(...checkField(field, values[field], descriptor));
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ApiError(400, "Validation failed", errors);
+    }
+
+    next();
+};
+
+export { validate };
@@ -0,0 +1,25 @@
+// Import Schema to define a reusable sub-document
+import { Schema } from "mongoose";
+
+// Where an uploaded file is stored: the storage driver that holds it and its key there
+// (see utils/storage/storage.js). The public URL is kept in a separate plain field
+// next to it, so listings and aggregations can keep reading that field as before.
+export const assetSchema = new Schema(
+    {
+        // Storage driver that holds the file ("cloudinary" or "local")
+        provider: {
+            type: String,
+            required: true
+        },
+
+        // Identifier of the file within that driver
+        key: {
+            type: String,
+            required: true
+        }
+    },
+    {
+        // Stored inside its parent document; no id of its own
+        _id: false
+    }
+);
@@ -0,0 +1,57 @@
+// Import mongoose and Schema to define the data structure for MongoDB documents
+import mongoose, { Schema } from "mongoose";
+
+// Import mongoose-aggregate-paginate-v2 plugin for paginating comment lists
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// Define the schema for the "Comment" collection
+const commentSchema = new Schema(
+    {
+        // The text of the comment
+        content: {
+            type: String,            // Must be a string
+            required: true,          // A comment cannot be empty
+            trim: true,              // Remove whitespace from start and end
+            maxlength: 1000          // Keep comments reasonably short
+        },
+
+        // The video this comment belongs to
+        video: {
+            type: Schema.Types.ObjectId, // ObjectId that references a Video
+            ref: "Video",
+            required: true
+        },
+
+        // The user who wrote the comment
+        owner: {
+            type: Schema.Types.ObjectId, // ObjectId that references a User
+            ref: "User",
+            required: true
+        },
+
+        // The top-level comment this one replies to (null for top-level comments)
+        // Only one level of replies is allowed, so a reply never has replies of its own
+        parentComment: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment",
+            default: null
+        }
+    },
+    {
+        // Adds automatic timestamps: createdAt and updatedAt fields
+        timestamps: true
+    }
+);
+
+// Index to list the top-level comments of a video, newest first
+commentSchema.index({ video: 1, parentComment: 1, createdAt: -1 });
+
+// Index to list and count the replies of a comment
+commentSchema.index({ parentComment: 1, createdAt: 1 });
+
+// Attach the aggregate pagination plugin so lists can use `.aggregatePaginate()`
+commentSchema.plugin(mongooseAggregatePaginate);
+
+// Export the model so it can be used throughout the app
+// Mongoose will map this schema to the "comments" collection in MongoDB
+export const Comment = mongoose.model("Comment", commentSchema);
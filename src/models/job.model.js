@@ -0,0 +1,95 @@
+// Import mongoose and Schema to define the data structure for MongoDB documents
+import mongoose, { Schema } from "mongoose";
+
+// Lifecycle of a job:
+// - queued: waiting for `runAt` (new jobs, and failed jobs waiting for their next attempt)
+// - running: claimed by a worker
+// - completed: finished successfully
+// - dead: failed on every attempt; kept for inspection and never retried automatically
+export const JOB_STATUSES = ["queued", "running", "completed", "dead"];
+
+// Define the schema for the "Job" collection
+// Background work (e.g. processing an uploaded video) is stored here and run by the
+// worker in utils/jobs/jobQueue.js, so it survives restarts and is shared by every app instance.
+const jobSchema = new Schema(
+    {
+        // What to do; a handler is registered for every type (see jobQueue.js)
+        type: {
+            type: String,
+            required: true
+        },
+
+        // Data the handler needs (e.g. { videoId })
+        payload: {
+            type: Schema.Types.Mixed,
+            default: {}
+        },
+
+        status: {
+            type: String,
+            enum: JOB_STATUSES,
+            default: "queued"
+        },
+
+        // Attempts started so far, and how many are allowed before the job is dead
+        attempts: {
+            type: Number,
+            default: 0
+        },
+
+        maxAttempts: {
+            type: Number,
+            default: 5
+        },
+
+        // Earliest time the job may (next) run
+        runAt: {
+            type: Date,
+            default: Date.now
+        },
+
+        // Set while a worker runs the job and extended as it goes; a lock older than the worker's timeout
+        // means the worker stopped, and the job is considered abandoned
+        lockedAt: {
+            type: Date,
+            default: null
+        },
+
+        lockedBy: {
+            type: String,
+            default: null
+        },
+
+        // Message of the latest failure
+        lastError: {
+            type: String,
+            default: null
+        },
+
+        // What the handler returned
+        result: {
+            type: Schema.Types.Mixed,
+            default: null
+        },
+
+        // When the job finished (completed or dead); MongoDB removes finished jobs a week later
+        finishedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        // Adds automatic timestamps: createdAt and updatedAt fields
+        timestamps: true
+    }
+);
+
+// Workers look for the next due job of a given status
+jobSchema.index({ status: 1, runAt: 1 });
+
+// TTL index: finished jobs are deleted after 7 days (documents without `finishedAt` are never removed)
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Export the model so it can be used by the job queue
+// Mongoose will map this schema to the "jobs" collection in MongoDB
+export const Job = mongoose.model("Job", jobSchema);
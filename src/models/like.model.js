@@ -0,0 +1,151 @@
+// Import mongoose and Schema to define the data structure for MongoDB documents
+import mongoose, { Schema } from "mongoose";
+
+// Import mongoose-aggregate-paginate-v2 plugin for paginating "liked videos" lists
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// Kinds of documents that can be liked or disliked
+// The values are model names so `refPath` can populate the right collection
+export const LIKE_TARGET_TYPES = ["Video", "Comment", "Post"];
+
+// Possible reactions a user can leave on a target
+export const LIKE_REACTIONS = ["like", "dislike"];
+
+// Define the schema for the "Like" collection
+// A single polymorphic collection stores reactions on every kind of target
+const likeSchema = new Schema(
+    {
+        // Which model the `target` id points to (e.g., "Video" or "Comment")
+        targetType: {
+            type: String,
+            enum: LIKE_TARGET_TYPES,
+            required: true
+        },
+
+        // The liked/disliked document
+        target: {
+            type: Schema.Types.ObjectId,
+            refPath: "targetType",       // Populate from the model named in `targetType`
+            required: true
+        },
+
+        // The user who reacted
+        likedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+
+        // Whether this is a like or a dislike
+        reaction: {
+            type: String,
+            enum: LIKE_REACTIONS,
+            default: "like"
+        }
+    },
+    {
+        // Adds automatic timestamps: createdAt and updatedAt fields
+        timestamps: true
+    }
+);
+
+// One reaction per user per target: the unique index prevents stacking likes/dislikes
+// even when several requests arrive at the same time
+likeSchema.index({ target: 1, targetType: 1, likedBy: 1 }, { unique: true });
+
+// Index to list what a user liked, newest first
+likeSchema.index({ likedBy: 1, targetType: 1, reaction: 1, createdAt: -1 });
+
+// Count likes/dislikes of a target and report the viewer's own reaction
+// Returns { likesCount, dislikesCount, isLiked, isDisliked }
+likeSchema.statics.getReactionSummary = async function (targetType, targetId, viewerId) {
+    const [summary] = await this.aggregate([
+        {
+            $match: {
+                targetType,
+                target: new mongoose.Types.ObjectId(targetId)
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                likesCount: {
+                    $sum: { $cond: [{ $eq: ["$reaction", "like"] }, 1, 0] }
+                },
+                dislikesCount: {
+                    $sum: { $cond: [{ $eq: ["$reaction", "dislike"] }, 1, 0] }
+                },
+                // Reactions left by the viewer (at most one thanks to the unique index)
+                viewerReactions: {
+                    $push: {
+                        $cond: [
+                            { $eq: ["$likedBy", viewerId ? new mongoose.Types.ObjectId(viewerId) : null] },
+                            "$reaction",
+                            "$$REMOVE"
+                        ]
+                    }
+                }
+            }
+        }
+    ]);
+
+    return {
+        likesCount: summary?.likesCount ?? 0,
+        dislikesCount: summary?.dislikesCount ?? 0,
+        isLiked: summary?.viewerReactions?.includes("like") ?? false,
+        isDisliked: summary?.viewerReactions?.includes("dislike") ?? false
+    };
+};
+
+// Aggregation stages that add `likesCount`, `dislikesCount` and the viewer's `isLiked` flag
+// to every document of a pipeline over the given target collection (e.g., comments or posts)
+// The likes are grouped inside the lookup, so individual like documents are never loaded
+export const reactionSummaryStages = (targetType, viewerId) => [
+    {
+        $lookup: {
+            from: "likes",
+            localField: "_id",
+            foreignField: "target",
+            as: "reactions",
+            pipeline: [
+                { $match: { targetType } },
+                {
+                    $group: {
+                        _id: null,
+                        likesCount: {
+                            $sum: { $cond: [{ $eq: ["$reaction", "like"] }, 1, 0] }
+                        },
+                        dislikesCount: {
+                            $sum: { $cond: [{ $eq: ["$reaction", "dislike"] }, 1, 0] }
+                        },
+                        isLiked: {
+                            $max: {
+                                $and: [
+                                    { $eq: ["$likedBy", viewerId ? new mongoose.Types.ObjectId(viewerId) : null] },
+                                    { $eq: ["$reaction", "like"] }
+                                ]
+                            }
+                        }
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            likesCount: { $ifNull: [{ $first: "$reactions.likesCount" }, 0] },
+            dislikesCount: { $ifNull: [{ $first: "$reactions.dislikesCount" }, 0] },
+            isLiked: { $ifNull: [{ $first: "$reactions.isLiked" }, false] }
+        }
+    },
+    {
+        $project: { reactions: 0 }
+    }
+];
+
+// Attach the aggregate pagination plugin so lists can use `.aggregatePaginate()`
+likeSchema.plugin(mongooseAggregatePaginate);
+
+// Export the model so it can be used throughout the app
+// Mongoose will map this schema to the "likes" collection in MongoDB
+export const Like = mongoose.model("Like", likeSchema);
@@ -0,0 +1,79 @@
+// Import mongoose and Schema to define the data structure for MongoDB documents
+import mongoose, { Schema } from "mongoose";
+
+// What a one-time token can be used for
+export const ONE_TIME_TOKEN_PURPOSES = ["password_reset", "email_verification", "email_change"];
+
+// Define the schema for the "OneTimeToken" collection
+// These are random tokens e-mailed to a user (e.g., password reset links) that can be used only once
+const oneTimeTokenSchema = new Schema(
+    {
+        // The user the token was issued for
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+
+        // What the token allows its holder to do
+        purpose: {
+            type: String,
+            enum: ONE_TIME_TOKEN_PURPOSES,
+            required: true
+        },
+
+        // SHA-256 hash of the token; the plain token only ever exists in the e-mail
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        // E-mail address the token was sent to (the address being confirmed for verification tokens)
+        email: {
+            type: String,
+            lowercase: true,
+            trim: true
+        },
+
+        // Set when the token is consumed; a used token can never be used again
+        usedAt: {
+            type: Date,
+            default: null
+        },
+
+        // The token stops working after this date; MongoDB removes it afterwards
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        // Adds automatic timestamps: createdAt and updatedAt fields
+        timestamps: true
+    }
+);
+
+// TTL index: expired tokens are deleted automatically
+oneTimeTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Atomically consume a token: returns the token document, or null if it is unknown,
+// already used or expired. Marking it used in the same operation prevents double use.
+// `purpose` can be a single purpose or an array of accepted purposes.
+oneTimeTokenSchema.statics.consume = function (tokenHash, purpose) {
+    return this.findOneAndUpdate(
+        {
+            tokenHash,
+            purpose: { $in: [].concat(purpose) },
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+};
+
+// Export the model so it can be used throughout the app
+// Mongoose will map this schema to the "onetimetokens" collection in MongoDB
+export const OneTimeToken = mongoose.model("OneTimeToken", oneTimeTokenSchema);
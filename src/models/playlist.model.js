@@ -0,0 +1,57 @@
+// Import mongoose and Schema to define the data structure for MongoDB documents
+import mongoose, { Schema } from "mongoose";
+
+// Who can see a playlist
+export const PLAYLIST_VISIBILITIES = ["public", "private"];
+
+// Define the schema for the "Playlist" collection
+const playlistSchema = new Schema(
+    {
+        // Name of the playlist shown in the UI
+        name: {
+            type: String,            // Must be a string
+            required: true,          // A playlist must have a name
+            trim: true,              // Remove whitespace from start and end
+            maxlength: 100
+        },
+
+        // Optional longer description of the playlist
+        description: {
+            type: String,
+            trim: true,
+            default: "",
+            maxlength: 1000
+        },
+
+        // Ordered list of videos; the array order is the playback order
+        videos: [
+            {
+                type: Schema.Types.ObjectId, // Each item is a reference to a Video
+                ref: "Video"
+            }
+        ],
+
+        // The user who created the playlist
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true              // Playlists are usually listed per user
+        },
+
+        // Private playlists are only visible to their owner
+        visibility: {
+            type: String,
+            enum: PLAYLIST_VISIBILITIES,
+            default: "public"
+        }
+    },
+    {
+        // Adds automatic timestamps: createdAt and updatedAt fields
+        timestamps: true
+    }
+);
+
+// Export the model so it can be used throughout the app
+// Mongoose will map this schema to the "playlists" collection in MongoDB
+export const Playlist = mongoose.model("Playlist", playlistSchema);
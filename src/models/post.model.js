@@ -0,0 +1,38 @@
+// Import mongoose and Schema to define the data structure for MongoDB documents
+import mongoose, { Schema } from "mongoose";
+
+// Import mongoose-aggregate-paginate-v2 plugin for paginating a channel's posts
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// Define the schema for the "Post" collection (text-only community updates of a channel)
+const postSchema = new Schema(
+    {
+        // Text of the update; length limits are enforced by the request schema (post.validate.js)
+        content: {
+            type: String,            // Must be a string
+            required: true,          // A post cannot be empty
+            trim: true               // Remove whitespace from start and end
+        },
+
+        // The channel (user) that published the post
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        // Adds automatic timestamps: createdAt and updatedAt fields
+        timestamps: true
+    }
+);
+
+// Index to list (and count) a channel's posts newest first
+postSchema.index({ owner: 1, createdAt: -1 });
+
+// Attach the aggregate pagination plugin so lists can use `.aggregatePaginate()`
+postSchema.plugin(mongooseAggregatePaginate);
+
+// Export the model so it can be used throughout the app
+// Mongoose will map this schema to the "posts" collection in MongoDB
+export const Post = mongoose.model("Post", postSchema);
@@ -0,0 +1,33 @@
+// Import mongoose and Schema to define the data structure for MongoDB documents
+import mongoose, { Schema } from "mongoose";
+
+// Define the schema for the "RateLimit" collection
+// One document per rate-limit key (e.g. "login:ip:203.0.113.7") and time window.
+// Used by the Mongo rate-limit store so every app instance shares the same counters.
+const rateLimitSchema = new Schema({
+    // Name of the limiter plus what is being limited (an IP address or an account)
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // Number of requests seen in the current window
+    count: {
+        type: Number,
+        default: 0
+    },
+
+    // When the current window ends; MongoDB removes the counter afterwards
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// TTL index: finished windows are deleted automatically
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the model so it can be used by the Mongo rate-limit store
+// Mongoose will map this schema to the "ratelimits" collection in MongoDB
+export const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
@@ -0,0 +1,67 @@
+// Import mongoose and Schema to define the data structure for MongoDB documents
+import mongoose, { Schema } from "mongoose";
+
+// Define the schema for the "RefreshToken" collection
+// Every refresh token ever issued is tracked by its `jti` (JWT ID) inside a token family.
+// A family is the chain of tokens produced by rotating the refresh token of one device session,
+// so the family id is the Session id.
+const refreshTokenSchema = new Schema(
+    {
+        // Unique id embedded in the JWT (`jti` claim)
+        jti: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        // Token family = the device session this token was issued for
+        family: {
+            type: Schema.Types.ObjectId,
+            ref: "Session",
+            required: true,
+            index: true
+        },
+
+        // Owner of the token
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+
+        // SHA-256 hash of the token; the plain token is never stored
+        tokenHash: {
+            type: String,
+            required: true
+        },
+
+        // Set once the token has been exchanged for a new one; presenting it again means reuse
+        rotatedAt: {
+            type: Date,
+            default: null
+        },
+
+        // `jti` of the token that replaced this one
+        replacedBy: {
+            type: String,
+            default: null
+        },
+
+        // When the token expires; MongoDB removes the record afterwards
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        // Adds automatic timestamps: createdAt and updatedAt fields
+        timestamps: true
+    }
+);
+
+// TTL index: expired tokens are useless (the JWT itself is rejected), so MongoDB deletes them
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the model so it can be used throughout the app
+// Mongoose will map this schema to the "refreshtokens" collection in MongoDB
+export const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
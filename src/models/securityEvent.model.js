@@ -0,0 +1,80 @@
+// Import mongoose and Schema to define the data structure for MongoDB documents
+import mongoose, { Schema } from "mongoose";
+
+// Kinds of security-relevant events that are recorded
+// Besides suspicious activity, actions taken by staff through the admin API are logged here too
+export const SECURITY_EVENT_TYPES = [
+    "refresh_token_reuse",
+    "account_suspended",
+    "account_unsuspended",
+    "role_changed",
+    "forced_logout",
+    "video_unpublished",
+    "video_restored"
+];
+
+// Define the schema for the "SecurityEvent" collection (an audit log of suspicious activity and staff actions)
+const securityEventSchema = new Schema(
+    {
+        // What happened
+        type: {
+            type: String,
+            enum: SECURITY_EVENT_TYPES,
+            required: true
+        },
+
+        // The affected user
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            index: true
+        },
+
+        // The staff member who performed the action (admin API events only)
+        actor: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+
+        // The affected session / token family, if any
+        session: {
+            type: Schema.Types.ObjectId,
+            ref: "Session"
+        },
+
+        // Where the request that triggered the event came from
+        ip: {
+            type: String,
+            default: ""
+        },
+
+        userAgent: {
+            type: String,
+            default: ""
+        },
+
+        // Free-form extra information (e.g., the reused token's jti)
+        details: {
+            type: Schema.Types.Mixed,
+            default: {}
+        }
+    },
+    {
+        // Adds automatic timestamps: createdAt and updatedAt fields
+        timestamps: true
+    }
+);
+
+// Record a security event for the given request
+securityEventSchema.statics.record = function (type, req, fields = {}) {
+    return this.create({
+        type,
+        ip: req?.ip || "",
+        userAgent: req?.get("User-Agent") || "",
+        ...fields
+    });
+};
+
+// Export the model so it can be used throughout the app
+// Mongoose will map this schema to the "securityevents" collection in MongoDB
+export const SecurityEvent = mongoose.model("SecurityEvent", securityEventSchema);
@@ -0,0 +1,81 @@
+// Import mongoose and Schema to define the data structure for MongoDB documents
+import mongoose, { Schema } from "mongoose";
+
+// Define the schema for the "Session" collection
+// Every login creates one session (one per device/browser), so logging in on a phone
+// no longer invalidates the refresh token of a laptop.
+// A session is also the "family" of all refresh tokens rotated from that login (see refreshToken.model.js)
+const sessionSchema = new Schema(
+    {
+        // The user this session belongs to
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true              // Sessions are listed and revoked per user
+        },
+
+        // Browser / device description sent by the client when logging in
+        userAgent: {
+            type: String,
+            default: ""
+        },
+
+        // IP address the session was created from
+        ip: {
+            type: String,
+            default: ""
+        },
+
+        // Last time the session was used to refresh its tokens
+        lastUsedAt: {
+            type: Date,
+            default: Date.now
+        },
+
+        // When the latest refresh token expires; MongoDB removes the session afterwards
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+
+        // Set when the user logs out or revokes the session from another device
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+
+        // Why the session was revoked (e.g., "logout", "refresh_token_reuse")
+        revokedReason: {
+            type: String,
+            default: null
+        }
+    },
+    {
+        // Adds automatic timestamps: createdAt and updatedAt fields
+        timestamps: true
+    }
+);
+
+// TTL index: MongoDB deletes a session document once `expiresAt` is in the past
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used (not revoked and not expired)
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke every active session of a user, optionally keeping one (e.g., the current device)
+sessionSchema.statics.revokeAllForUser = function (userId, reason, exceptSessionId = null) {
+    const filter = { user: userId, revokedAt: null };
+
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+
+    return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+// Export the model so it can be used throughout the app
+// Mongoose will map this schema to the "sessions" collection in MongoDB
+export const Session = mongoose.model("Session", sessionSchema);
@@ -1,6 +1,9 @@
 // Importing Mongoose library and Schema constructor from it
 import mongoose, { Schema } from "mongoose";
 
+// Import mongoose-aggregate-paginate-v2 plugin to paginate subscriber/subscription lists
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
 // Define a Mongoose schema for managing subscriptions between users
 const subscriptionSchema = new Schema(
     {
@@ -24,6 +27,16 @@ const subscriptionSchema = new Schema(
     }
 );
 
+// A user can subscribe to a channel only once
+// The unique compound index makes MongoDB reject duplicates even when two requests race each other
+subscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true });
+
+// Index to efficiently list (and count) the subscribers of a channel, newest first
+subscriptionSchema.index({ channel: 1, createdAt: -1 });
+
+// Attach the aggregate pagination plugin so lists can use `.aggregatePaginate()`
+subscriptionSchema.plugin(mongooseAggregatePaginate);
+
 // Create the Mongoose model named 'Subscription' using the defined schema
 // This model represents the subscription relationships in the database
 export const Subscription = mongoose.model("Subscription", subscriptionSchema);
\ No newline at end of file
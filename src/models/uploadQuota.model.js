@@ -0,0 +1,32 @@
+// Import mongoose and Schema to define the data structure for MongoDB documents
+import mongoose, { Schema } from "mongoose";
+
+// Define the schema for the "UploadQuota" collection
+// Bytes each user has reserved for unfinished resumable uploads. Uploads reserve their full size
+// with a conditional $inc when they start (see utils/uploadQuota.js), so concurrent requests
+// cannot exceed the quota; the bytes are released when the upload is published, cancelled or expires.
+const uploadQuotaSchema = new Schema(
+    {
+        // The user the reservation belongs to
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            unique: true
+        },
+
+        // Sum of the sizes of the user's unfinished uploads
+        reservedBytes: {
+            type: Number,
+            default: 0
+        }
+    },
+    {
+        // Adds automatic timestamps: createdAt and updatedAt fields
+        timestamps: true
+    }
+);
+
+// Export the model so it can be used by the upload quota helpers
+// Mongoose will map this schema to the "uploadquotas" collection in MongoDB
+export const UploadQuota = mongoose.model("UploadQuota", uploadQuotaSchema);
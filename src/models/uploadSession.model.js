@@ -0,0 +1,91 @@
+// Import mongoose and Schema to define the data structure for MongoDB documents
+import mongoose, { Schema } from "mongoose";
+
+// A chunk still being written after this long is considered abandoned (its request died with the server)
+export const CHUNK_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// An upload being published stays at least this long before it can expire (hashing and moving a large file take a while)
+export const FINALIZE_TIMEOUT_MS = 60 * 60 * 1000;
+
+// Query condition matching sessions no chunk is being written to right now
+export const notReceivingChunk = () => ({
+    $or: [
+        { lockedAt: null },
+        { lockedAt: { $lt: new Date(Date.now() - CHUNK_LOCK_TIMEOUT_MS) } }
+    ]
+});
+
+// Define the schema for the "UploadSession" collection
+// A resumable upload of a large video file, sent in chunks (see upload.controller.js).
+// The bytes are appended to a file in RESUMABLE_UPLOAD_DIR; once complete, the upload is
+// published like a regular video by passing its id to POST /videos.
+const uploadSessionSchema = new Schema(
+    {
+        // The user uploading the file
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true              // Uploads are looked up per user
+        },
+
+        // Total size of the file in bytes, announced when the upload starts
+        size: {
+            type: Number,
+            required: true
+        },
+
+        // Number of bytes received so far; the next chunk must start here
+        offset: {
+            type: Number,
+            default: 0
+        },
+
+        // Name of the file on the client (informational only)
+        filename: {
+            type: String,
+            default: null
+        },
+
+        // Optional checksum of the whole file, checked before publishing: "<algorithm> <base64 digest>"
+        checksum: {
+            type: String,
+            default: null
+        },
+
+        // Where the received bytes are stored on disk
+        filePath: {
+            type: String,
+            required: true
+        },
+
+        // uploading: accepts chunks; finalizing: being published (claimed by POST /videos)
+        status: {
+            type: String,
+            enum: ["uploading", "finalizing"],
+            default: "uploading"
+        },
+
+        // Set while a chunk is being written, so two requests cannot write at the same offset
+        lockedAt: {
+            type: Date,
+            default: null
+        },
+
+        // Abandoned uploads expire; every received chunk pushes this back. The sweeper started in
+        // index.js then removes the session and its file, and releases its quota
+        expiresAt: {
+            type: Date,
+            required: true,
+            index: true              // The sweeper looks up expired sessions
+        }
+    },
+    {
+        // Adds automatic timestamps: createdAt and updatedAt fields
+        timestamps: true
+    }
+);
+
+// Export the model so it can be used by the upload and video controllers
+// Mongoose will map this schema to the "uploadsessions" collection in MongoDB
+export const UploadSession = mongoose.model("UploadSession", uploadSessionSchema);
@@ -4,6 +4,19 @@ import mongoose, { Schema } from "mongoose";
 import bcrypt from "bcrypt";
 // Import jsonwebtoken for creating and signing JWT tokens
 import jwt from "jsonwebtoken";
+// Helpers for two-factor authentication (TOTP codes, encrypted secrets, hashed recovery codes)
+import { verifyTotp } from "../utils/totp.js";
+import { decrypt } from "../utils/encryption.js";
+import { hashToken } from "../utils/hashToken.js";
+// Sub-schema describing where an uploaded file is stored
+import { assetSchema } from "./asset.schema.js";
+// Import the pagination plugin used by the admin user listing
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// Roles a user can have, from least to most privileged
+// - moderator: can review users and content (suspend regular users, unpublish videos)
+// - admin: can additionally change roles and act on moderators
+export const USER_ROLES = ["user", "moderator", "admin"];
 
 // Define the structure of the User schema using Mongoose
 const userSchema = new Schema(
@@ -27,6 +40,43 @@ const userSchema = new Schema(
             trim: true              // Remove leading/trailing spaces
         },
 
+        // Whether the user proved they own `email` by following the verification link.
+        // New accounts start unverified; accounts created before e-mail verification existed have no
+        // such field and count as verified (Mongoose applies defaults to loaded documents too, where isNew is false)
+        emailVerified: {
+            type: Boolean,
+            default: function () {
+                return !this.isNew;
+            }
+        },
+
+        // New e-mail address waiting for confirmation; `email` only changes once it is verified
+        pendingEmail: {
+            type: String,
+            lowercase: true,
+            trim: true,
+            default: null
+        },
+
+        // What the user is allowed to do (see USER_ROLES)
+        role: {
+            type: String,
+            enum: USER_ROLES,
+            default: "user"
+        },
+
+        // Set while the account is suspended; suspended users cannot log in or use their tokens
+        suspendedAt: {
+            type: Date,
+            default: null
+        },
+
+        // Why the account was suspended (shown to staff, not to the user)
+        suspensionReason: {
+            type: String,
+            default: null
+        },
+
         // Full name of the user
         fullName: {
             type: String,           // Must be a string
@@ -41,11 +91,23 @@ const userSchema = new Schema(
             required: true          // Avatar is mandatory for user identity
         },
 
+        // Where the avatar file is stored, so it can be replaced or deleted (see asset.schema.js)
+        avatarAsset: {
+            type: assetSchema,
+            default: null
+        },
+
         // Optional cover image URL (for user profile)
         coverImage: {
             type: String            // Not required, optional field
         },
 
+        // Where the cover image file is stored
+        coverImageAsset: {
+            type: assetSchema,
+            default: null
+        },
+
         // Array to store video IDs the user has watched (for watch history)
         watchHistory: [
             {
@@ -60,10 +122,56 @@ const userSchema = new Schema(
             required: [true, 'Password is required.'] // Custom error message on missing password
         },
 
-        // Refresh token for session persistence in JWT auth system
-        refreshToken: {
-            type: String             // Optional field used for secure token refresh
+        // ---- Two-factor authentication (TOTP, RFC 6238) ----
+        // Secrets and recovery codes are never returned by queries unless explicitly selected
+
+        // Whether a TOTP code is required after the password on login
+        twoFactorEnabled: {
+            type: Boolean,
+            default: false
+        },
+
+        // Encrypted TOTP secret in use once 2FA is enabled
+        twoFactorSecret: {
+            type: String,
+            select: false
+        },
+
+        // Encrypted TOTP secret waiting for the first valid code (enrollment in progress)
+        twoFactorPendingSecret: {
+            type: String,
+            select: false
+        },
+
+        // SHA-256 hashes of the one-time recovery codes that are still unused
+        twoFactorRecoveryCodes: {
+            type: [String],
+            select: false
+        },
+
+        // Time step of the last accepted TOTP code, so the same code cannot be replayed
+        twoFactorLastUsedStep: {
+            type: Number,
+            select: false
+        },
+
+        // ---- Brute-force protection ----
+
+        // Failed password / 2FA attempts since the last successful login
+        failedLoginAttempts: {
+            type: Number,
+            default: 0,
+            select: false
+        },
+
+        // While in the future, logging in is refused without checking the password
+        lockUntil: {
+            type: Date,
+            select: false
         }
+
+        // Refresh tokens are no longer stored on the user: each device has its own
+        // record in the Session collection (see session.model.js)
     },
     {
         // Automatically adds `createdAt` and `updatedAt` fields to the document
@@ -114,8 +222,133 @@ userSchema.methods.isPasswordCorrect = async function(password) {
     return await bcrypt.compare(password, this.password);
 };
 
+// Progressive lockout: after LOGIN_LOCK_THRESHOLD failed attempts the account is locked for
+// LOGIN_LOCK_BASE_MS, and every further failure doubles the lock (capped at LOGIN_LOCK_MAX_MS)
+const LOGIN_LOCK_THRESHOLD = 5;
+const LOGIN_LOCK_BASE_MS = 60 * 1000;
+const LOGIN_LOCK_MAX_MS = 60 * 60 * 1000;
+
+// Whether the account is currently locked (the document must be loaded with `+lockUntil`)
+userSchema.methods.isLocked = function () {
+    return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Record a failed login attempt and lock the account once the threshold is reached
+// Returns the lock expiry if the account is now locked, otherwise null
+userSchema.methods.registerFailedLogin = async function () {
+    /**
+     * A single pipeline update, so concurrent failures are all counted.
+     * Both stages read the values written by the previous one:
+     * 1. increment the counter
+     * 2. from the threshold on, lock for BASE * 2^(attempts - threshold), at most MAX
+     */
+    const now = new Date();
+
+    const user = await this.constructor.findByIdAndUpdate(
+        this._id,
+        [
+            {
+                $set: {
+                    failedLoginAttempts: { $add: [{ $ifNull: ["$failedLoginAttempts", 0] }, 1] }
+                }
+            },
+            {
+                $set: {
+                    lockUntil: {
+                        $cond: [
+                            { $gte: ["$failedLoginAttempts", LOGIN_LOCK_THRESHOLD] },
+                            {
+                                $add: [
+                                    now,
+                                    {
+                                        $min: [
+                                            LOGIN_LOCK_MAX_MS,
+                                            {
+                                                $multiply: [
+                                                    LOGIN_LOCK_BASE_MS,
+                                                    {
+                                                        $pow: [
+                                                            2,
+                                                            { $subtract: ["$failedLoginAttempts", LOGIN_LOCK_THRESHOLD] }
+                                                        ]
+                                                    }
+                                                ]
+                                            }
+                                        ]
+                                    }
+                                ]
+                            },
+                            "$lockUntil"
+                        ]
+                    }
+                }
+            }
+        ],
+        { new: true }
+    ).select("+failedLoginAttempts +lockUntil");
+
+    return user?.lockUntil && user.lockUntil > now ? user.lockUntil : null;
+};
+
+// Clear the failed attempts after a successful login (or a password reset)
+userSchema.methods.resetFailedLogins = function () {
+    return this.constructor.updateOne(
+        { _id: this._id },
+        { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+    );
+};
+
+// Define an instance method that checks a second factor: either a TOTP code or a recovery code
+// The document must be loaded with `+twoFactorSecret`
+userSchema.methods.verifySecondFactor = async function ({ code, recoveryCode } = {}) {
+    /**
+     * Both checks are single-use and atomic:
+     * - a TOTP code is accepted only if its time step is newer than the last accepted one
+     * - a recovery code is removed from the list in the same update that accepts it
+     *
+     * @returns {Promise<boolean>} - true if the second factor is valid
+     */
+    if (!this.twoFactorEnabled || !this.twoFactorSecret) return false;
+
+    const User = this.constructor;
+
+    if (code) {
+        const step = verifyTotp(decrypt(this.twoFactorSecret), code);
+        if (step === null) return false;
+
+        const result = await User.updateOne(
+            {
+                _id: this._id,
+                $or: [
+                    { twoFactorLastUsedStep: { $exists: false } },
+                    { twoFactorLastUsedStep: null },
+                    { twoFactorLastUsedStep: { $lt: step } }
+                ]
+            },
+            { $set: { twoFactorLastUsedStep: step } }
+        );
+
+        return result.modifiedCount === 1;
+    }
+
+    if (recoveryCode) {
+        // Recovery codes are compared without dashes/spaces and case-insensitively
+        const codeHash = hashToken(String(recoveryCode).replace(/[\s-]/g, "").toUpperCase());
+
+        const result = await User.updateOne(
+            { _id: this._id, twoFactorRecoveryCodes: codeHash },
+            { $pull: { twoFactorRecoveryCodes: codeHash } }
+        );
+
+        return result.modifiedCount === 1;
+    }
+
+    return false;
+};
+
 // Define an instance method to generate a signed JWT access token for authentication
-userSchema.methods.generateAccessToken = function () {
+// `sessionId` ties the token to the device session it was issued for
+userSchema.methods.generateAccessToken = function (sessionId) {
     /**
      * This method creates a JWT access token that can be used for authenticating API requests.
      * The token includes essential user data as payload (such as _id, email, username, fullName).
@@ -130,7 +363,9 @@ userSchema.methods.generateAccessToken = function () {
             _id: this._id,
             email: this.email,
             username: this.username,
-            fullName: this.fullName
+            fullName: this.fullName,
+            role: this.role,
+            sid: sessionId
         },
         process.env.ACCESS_TOKEN_SECRET,
         {
@@ -140,28 +375,35 @@ userSchema.methods.generateAccessToken = function () {
 };
 
 // Define an instance method to generate a JWT refresh token for session renewal
-userSchema.methods.generateRefreshToken = function () {
+// `sessionId` identifies the device session (token family) the refresh token belongs to
+// and `jti` is the unique id of this particular token within the family
+userSchema.methods.generateRefreshToken = function (sessionId, jti) {
     /**
      * This method generates a long-lived refresh token for renewing access tokens
      * without requiring the user to log in again.
      * 
-     * Only minimal information (like `_id`) is embedded to keep the payload lightweight.
+     * Only minimal information (`_id` and the session id `sid`) is embedded to keep the payload lightweight.
      * 
      * `process.env.REFRESH_TOKEN_SECRET` is used to sign this token.
      * `process.env.REFRESH_TOKEN_EXPIRY` controls how long this token remains valid.
      */
     return jwt.sign(
         {
-            _id: this._id
+            _id: this._id,
+            sid: sessionId
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
-            expiresIn: process.env.REFRESH_TOKEN_EXPIRY
+            expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+            jwtid: jti
         }
     );
 };
 
 
+// Enable pagination on aggregation queries (used to list users in the admin API)
+userSchema.plugin(mongooseAggregatePaginate);
+
 // Export the compiled Mongoose model named "User"
 // This model will interact with the `users` collection in MongoDB
 export const User = mongoose.model("User", userSchema);
\ No newline at end of file
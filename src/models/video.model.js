@@ -4,13 +4,41 @@ import mongoose, { Schema } from "mongoose";
 // Import mongoose-aggregate-paginate-v2 plugin for advanced aggregation pagination
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
+// Sub-schema describing where an uploaded file is stored
+import { assetSchema } from "./asset.schema.js";
+
+// Processing states of a video:
+// - processing: the file was received and waits for (or is in) background processing
+// - ready: the file is stored and the video can be watched
+// - failed: processing gave up; the owner should delete the video and upload it again
+export const VIDEO_STATUSES = ["processing", "ready", "failed"];
+
+// Filter for videos anyone may see: published and ready
+// (videos uploaded before processing existed have no status and count as ready)
+export const PUBLIC_VIDEO_FILTER = { isPublished: true, status: { $in: ["ready", null] } };
+
+// Fields that never leave the server: where the file is stored is an internal detail
+// (local video files are only served by GET /videos/:videoId/stream). Documents drop them in toJSON,
+// aggregations returning videos must remove them with `{ $unset: HIDDEN_VIDEO_FIELDS }`
+export const HIDDEN_VIDEO_FIELDS = ["videoFileAsset"];
+
 // Define the schema for the "Video" collection
 const videoSchema = new Schema(
     {
         // The path or URL of the uploaded video file
+        // Empty while the upload is being processed; required once the video is ready
         videoFile: {
             type: String,            // Must be a string
-            required: true           // Required field: cannot create video without a file
+            default: null,
+            required: function () {
+                return this.status === "ready";
+            }
+        },
+
+        // Where the video file is stored, so it can be deleted later (see asset.schema.js)
+        videoFileAsset: {
+            type: assetSchema,
+            default: null
         },
 
         // The path or URL of the video thumbnail image
@@ -19,6 +47,12 @@ const videoSchema = new Schema(
             required: true           // Required field for UI display
         },
 
+        // Where the thumbnail file is stored
+        thumbnailAsset: {
+            type: assetSchema,
+            default: null
+        },
+
         // Title of the video
         title: {
             type: String,            // Must be a string
@@ -31,24 +65,88 @@ const videoSchema = new Schema(
             required: true           // Helps users understand content & improves SEO
         },
 
-        // Length of the video, typically in seconds
+        // Length of the video in seconds, read from the uploaded file
         duration: {
             type: Number,            // Numeric value (e.g., 120 = 2 minutes)
             required: true           // Important for UI controls, user expectations, etc.
         },
 
+        // Metadata read from the uploaded file's container (see utils/videoMetadata)
+        // Resolution of the video track, in pixels
+        width: {
+            type: Number,
+            default: null
+        },
+
+        height: {
+            type: Number,
+            default: null
+        },
+
+        // Video codec, e.g. "h264", "vp9" or "av1"
+        codec: {
+            type: String,
+            default: null
+        },
+
+        // Size of the video file in bytes
+        size: {
+            type: Number,
+            default: null
+        },
+
         // Number of views this video has received
         views: {
             type: Number,            // Numeric value to represent count
             default: 0               // Default is 0 when a new video is uploaded
         },
 
+        // Processing state of the uploaded file (see VIDEO_STATUSES); only ready videos can be watched
+        status: {
+            type: String,
+            enum: VIDEO_STATUSES,
+            default: "ready"
+        },
+
+        // Why processing failed, shown to the owner
+        processingError: {
+            type: String,
+            default: null
+        },
+
+        // Background job that processes the upload (see utils/jobs/jobQueue.js)
+        processingJob: {
+            type: Schema.Types.ObjectId,
+            ref: "Job",
+            default: null
+        },
+
         // Indicates if the video is visible to the public
         isPublished: {
             type: Boolean,           // Boolean flag (true/false)
             default: true            // Default is true (visible); can be used for draft mode
         },
 
+        // Set when staff took the video down (PATCH /admin/videos/:videoId/unpublish);
+        // the owner cannot publish it again until staff restore it
+        moderatedAt: {
+            type: Date,
+            default: null
+        },
+
+        // The staff member who took the video down
+        moderatedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            default: null
+        },
+
+        // Why the video was taken down
+        moderationReason: {
+            type: String,
+            default: null
+        },
+
         // The user who uploaded the video (relational reference to User collection)
         owner: {
             type: Schema.Types.ObjectId, // ObjectId that references a User
@@ -57,10 +155,21 @@ const videoSchema = new Schema(
     },
     {
         // Adds automatic timestamps: createdAt and updatedAt fields
-        timestamps: true
+        timestamps: true,
+
+        // Leave the hidden fields out of API responses
+        toJSON: {
+            transform: (doc, ret) => {
+                for (const field of HIDDEN_VIDEO_FIELDS) delete ret[field];
+                return ret;
+            }
+        }
     }
 );
 
+// Index to fetch a channel's videos newest first (used by the subscription feed)
+videoSchema.index({ owner: 1, createdAt: -1 });
+
 // Attach the aggregate pagination plugin to the video schema
 // This allows use of `.aggregatePaginate()` method with Mongoose aggregations
 videoSchema.plugin(mongooseAggregatePaginate);
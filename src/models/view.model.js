@@ -0,0 +1,47 @@
+// Import mongoose and Schema to define the data structure for MongoDB documents
+import mongoose, { Schema } from "mongoose";
+
+// Define the schema for the "View" collection
+// One document per video and viewer, so a viewer is counted at most once per window (see utils/viewCounter.js)
+const viewSchema = new Schema(
+    {
+        // The watched video
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true
+        },
+
+        // Who watched it: "user:<id>" for logged-in users, "anon:<fingerprint>" for everybody else
+        viewerKey: {
+            type: String,
+            required: true
+        },
+
+        // When this viewer's latest counted view happened; views within the dedup window after it are ignored
+        lastCountedAt: {
+            type: Date,
+            required: true
+        },
+
+        // End of the dedup window; the document is only kept until then
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        // Adds automatic timestamps: createdAt and updatedAt fields
+        timestamps: true
+    }
+);
+
+// One document per viewer and video; also makes concurrent first views of the same viewer count once
+viewSchema.index({ video: 1, viewerKey: 1 }, { unique: true });
+
+// TTL index: MongoDB deletes a View document once `expiresAt` is in the past
+viewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the model so it can be used by the view counter
+// Mongoose will map this schema to the "views" collection in MongoDB
+export const View = mongoose.model("View", viewSchema);
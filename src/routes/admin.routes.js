@@ -0,0 +1,42 @@
+// Importing the Router function from express to build the admin / moderation routes
+import { Router } from "express";
+
+import {
+    getUsers,
+    getUserById,
+    suspendUser,
+    unsuspendUser,
+    forceLogoutUser,
+    changeUserRole,
+    unpublishVideo,
+    restoreVideo
+} from "../controllers/admin.controller.js";
+import { verifyJwt, authorize } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    getUsersSchema,
+    userIdSchema,
+    suspendUserSchema,
+    changeUserRoleSchema,
+    moderateVideoSchema
+} from "../validations/admin.validate.js";
+
+// Creating a new router instance; every admin route requires a staff account
+const adminRouter = Router();
+
+adminRouter.use(verifyJwt, authorize("admin", "moderator"));
+
+adminRouter.route("/users").get(validate(getUsersSchema), getUsers);
+adminRouter.route("/users/:userId").get(validate(userIdSchema), getUserById);
+adminRouter.route("/users/:userId/suspend").patch(validate(suspendUserSchema), suspendUser);
+adminRouter.route("/users/:userId/unsuspend").patch(validate(userIdSchema), unsuspendUser);
+adminRouter.route("/users/:userId/logout").post(validate(userIdSchema), forceLogoutUser);
+
+// Only admins may hand out or take away roles
+adminRouter.route("/users/:userId/role").patch(authorize("admin"), validate(changeUserRoleSchema), changeUserRole);
+
+adminRouter.route("/videos/:videoId/unpublish").patch(validate(moderateVideoSchema), unpublishVideo);
+adminRouter.route("/videos/:videoId/restore").patch(validate(moderateVideoSchema), restoreVideo);
+
+// Exporting the router so it can be mounted in app.js under /api/v1/admin
+export default adminRouter;
@@ -0,0 +1,39 @@
+// Importing the Router function from express to build the comment routes
+import { Router } from "express";
+
+import {
+    getVideoComments,
+    getCommentReplies,
+    addComment,
+    updateComment,
+    deleteComment
+} from "../controllers/comment.controller.js";
+import { verifyJwt, getUserIfAuthenticated } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    getVideoCommentsSchema,
+    getCommentRepliesSchema,
+    addCommentSchema,
+    updateCommentSchema,
+    commentIdSchema
+} from "../validations/comment.validate.js";
+
+// Creating a new router instance for comment-related routes
+const commentRouter = Router();
+
+// Comments of a video: anyone can read them, only logged-in users can post
+// Pass `parentCommentId` in the body to reply to a top-level comment
+commentRouter
+    .route("/:videoId")
+    .get(getUserIfAuthenticated, validate(getVideoCommentsSchema), getVideoComments)
+    .post(verifyJwt, validate(addCommentSchema), addComment);
+
+// Operations on a single comment (the "/c/" prefix keeps them apart from the video routes above)
+commentRouter.route("/c/:commentId/replies").get(getUserIfAuthenticated, validate(getCommentRepliesSchema), getCommentReplies);
+commentRouter
+    .route("/c/:commentId")
+    .patch(verifyJwt, validate(updateCommentSchema), updateComment)
+    .delete(verifyJwt, validate(commentIdSchema), deleteComment);
+
+// Exporting the router so it can be mounted in app.js under /api/v1/comments
+export default commentRouter;
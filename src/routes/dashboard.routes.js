@@ -0,0 +1,18 @@
+// Importing the Router function from express to build the creator dashboard routes
+import { Router } from "express";
+
+import { getChannelStats, getChannelVideos } from "../controllers/dashboard.controller.js";
+import { verifyJwt } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { paginationQuery } from "../validations/common.validate.js";
+
+// Creating a new router instance; every dashboard route is about the logged-in creator
+const dashboardRouter = Router();
+
+dashboardRouter.use(verifyJwt);
+
+dashboardRouter.route("/stats").get(getChannelStats);
+dashboardRouter.route("/videos").get(validate({ query: paginationQuery }), getChannelVideos);
+
+// Exporting the router so it can be mounted in app.js under /api/v1/dashboard
+export default dashboardRouter;
@@ -0,0 +1,16 @@
+// Importing the Router function from express to build the feed routes
+import { Router } from "express";
+
+import { getSubscriptionFeed } from "../controllers/feed.controller.js";
+import { verifyJwt } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { subscriptionFeedSchema } from "../validations/feed.validate.js";
+
+// Creating a new router instance for feed-related routes
+const feedRouter = Router();
+
+// Latest videos from the channels the logged-in user follows (cursor paginated)
+feedRouter.route("/subscriptions").get(verifyJwt, validate(subscriptionFeedSchema), getSubscriptionFeed);
+
+// Exporting the router so it can be mounted in app.js under /api/v1/feed
+export default feedRouter;
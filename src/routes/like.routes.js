@@ -0,0 +1,42 @@
+// Importing the Router function from express to build the like routes
+import { Router } from "express";
+
+import {
+    toggleVideoLike,
+    toggleCommentLike,
+    togglePostLike,
+    getVideoLikes,
+    getCommentLikes,
+    getPostLikes,
+    getLikedVideos
+} from "../controllers/like.controller.js";
+import { verifyJwt, getUserIfAuthenticated } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    toggleVideoLikeSchema,
+    toggleCommentLikeSchema,
+    togglePostLikeSchema,
+    videoLikesSchema,
+    commentLikesSchema,
+    postLikesSchema,
+    likedVideosSchema
+} from "../validations/like.validate.js";
+
+// Creating a new router instance for like-related routes
+const likeRouter = Router();
+
+// Toggle a reaction; send { "reaction": "like" | "dislike" } in the body (defaults to "like")
+likeRouter.route("/toggle/v/:videoId").post(verifyJwt, validate(toggleVideoLikeSchema), toggleVideoLike);
+likeRouter.route("/toggle/c/:commentId").post(verifyJwt, validate(toggleCommentLikeSchema), toggleCommentLike);
+likeRouter.route("/toggle/p/:postId").post(verifyJwt, validate(togglePostLikeSchema), togglePostLike);
+
+// Like/dislike counts plus the viewer's own reaction (isLiked / isDisliked)
+likeRouter.route("/v/:videoId").get(getUserIfAuthenticated, validate(videoLikesSchema), getVideoLikes);
+likeRouter.route("/c/:commentId").get(getUserIfAuthenticated, validate(commentLikesSchema), getCommentLikes);
+likeRouter.route("/p/:postId").get(getUserIfAuthenticated, validate(postLikesSchema), getPostLikes);
+
+// Videos liked by the logged-in user
+likeRouter.route("/videos").get(verifyJwt, validate(likedVideosSchema), getLikedVideos);
+
+// Exporting the router so it can be mounted in app.js under /api/v1/likes
+export default likeRouter;
@@ -0,0 +1,49 @@
+// Importing the Router function from express to build the playlist routes
+import { Router } from "express";
+
+import {
+    createPlaylist,
+    getUserPlaylists,
+    getPlaylistById,
+    updatePlaylist,
+    deletePlaylist,
+    addVideoToPlaylist,
+    removeVideoFromPlaylist,
+    moveVideoInPlaylist
+} from "../controllers/playlist.controller.js";
+import { verifyJwt, getUserIfAuthenticated } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    createPlaylistSchema,
+    updatePlaylistSchema,
+    playlistIdSchema,
+    userPlaylistsSchema,
+    playlistVideoSchema,
+    movePlaylistVideoSchema
+} from "../validations/playlist.validate.js";
+
+// Creating a new router instance for playlist-related routes
+const playlistRouter = Router();
+
+playlistRouter.route("/").post(verifyJwt, validate(createPlaylistSchema), createPlaylist);
+
+// Playlists of a user (private ones only for the user themselves)
+playlistRouter.route("/user/:userId").get(getUserIfAuthenticated, validate(userPlaylistsSchema), getUserPlaylists);
+
+// Reading a playlist is public unless it is private; changing it requires ownership
+playlistRouter
+    .route("/:playlistId")
+    .get(getUserIfAuthenticated, validate(playlistIdSchema), getPlaylistById)
+    .patch(verifyJwt, validate(updatePlaylistSchema), updatePlaylist)
+    .delete(verifyJwt, validate(playlistIdSchema), deletePlaylist);
+
+// Managing the videos of a playlist
+// PATCH moves the video to the 0-based `position` sent in the body
+playlistRouter
+    .route("/:playlistId/videos/:videoId")
+    .post(verifyJwt, validate(playlistVideoSchema), addVideoToPlaylist)
+    .patch(verifyJwt, validate(movePlaylistVideoSchema), moveVideoInPlaylist)
+    .delete(verifyJwt, validate(playlistVideoSchema), removeVideoFromPlaylist);
+
+// Exporting the router so it can be mounted in app.js under /api/v1/playlists
+export default playlistRouter;
@@ -0,0 +1,25 @@
+// Importing the Router function from express to build the community post routes
+import { Router } from "express";
+
+import {
+    createPost,
+    updatePost,
+    deletePost
+} from "../controllers/post.controller.js";
+import { verifyJwt, requireVerifiedEmail } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { createPostSchema, updatePostSchema, postIdSchema } from "../validations/post.validate.js";
+
+// Creating a new router instance for post-related routes
+// Listing a channel's posts lives in the user routes under /channel/:username/posts
+const postRouter = Router();
+
+// Publishing on a channel requires a verified e-mail address
+postRouter.route("/").post(verifyJwt, requireVerifiedEmail, validate(createPostSchema), createPost);
+postRouter
+    .route("/:postId")
+    .patch(verifyJwt, validate(updatePostSchema), updatePost)
+    .delete(verifyJwt, validate(postIdSchema), deletePost);
+
+// Exporting the router so it can be mounted in app.js under /api/v1/posts
+export default postRouter;
@@ -0,0 +1,29 @@
+// Importing the Router function from express to build the resumable upload routes
+import { Router } from "express";
+
+import {
+    createUpload,
+    getUploadOffset,
+    uploadChunk,
+    cancelUpload
+} from "../controllers/upload.controller.js";
+import { verifyJwt, requireVerifiedEmail } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { createUploadSchema, uploadIdSchema } from "../validations/upload.validate.js";
+
+// Creating a new router instance for resumable uploads of large video files
+// A finished upload is published through POST /api/v1/videos with its uploadId
+const uploadRouter = Router();
+
+// Uploads end up as videos, so starting one requires a verified e-mail address like publishing does
+uploadRouter.route("/").post(verifyJwt, requireVerifiedEmail, validate(createUploadSchema), createUpload);
+
+// HEAD tells where to resume, PATCH appends the next chunk, DELETE cancels the upload
+uploadRouter
+    .route("/:uploadId")
+    .head(verifyJwt, validate(uploadIdSchema), getUploadOffset)
+    .patch(verifyJwt, validate(uploadIdSchema), uploadChunk)
+    .delete(verifyJwt, validate(uploadIdSchema), cancelUpload);
+
+// Exporting the router so it can be mounted in app.js under /api/v1/uploads
+export default uploadRouter;
@@ -11,26 +11,86 @@ import { upload } from "../middlewares/multer.middleware.js"
 import { 
     registerUser, 
     loginUser, 
+    verifyTwoFactorLogin,
     logoutUser, 
     refreshAccessToken, 
     chnageCurrentPassword, 
+    forgotPassword,
+    resetPassword,
     getAccountDetails, 
     changeAccountDetails,
+    verifyEmail,
+    resendEmailVerification,
     changeUserAvatar,
     changeUserCoverImage,
     getUserChannelProfile,
     getWatchHistory,
-    subscribeChannel
+    subscribeChannel,
+    unsubscribeChannel,
+    getChannelSubscribers,
+    getUserSubscriptions
 } from "../controllers/user.controller.js";
-import { verifyJwt, getUserIfAuthenticated } from "../middlewares/auth.middleware.js";
+import { getChannelPosts } from "../controllers/post.controller.js";
+import { getSessions, revokeSession, revokeOtherSessions } from "../controllers/session.controller.js";
+import { enrollTwoFactor, confirmTwoFactor, disableTwoFactor } from "../controllers/twoFactor.controller.js";
+import { verifyJwt, getUserIfAuthenticated, requireVerifiedEmail } from "../middlewares/auth.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    registerUserSchema,
+    loginUserSchema,
+    verifyTwoFactorLoginSchema,
+    changePasswordSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    verifyEmailSchema,
+    changeAccountDetailsSchema,
+    confirmTwoFactorSchema,
+    disableTwoFactorSchema,
+    sessionIdSchema,
+    channelIdSchema,
+    channelProfileSchema,
+    channelListSchema,
+    userSubscriptionsSchema
+} from "../validations/user.validate.js";
 
 // Creating a new router instance for handling user-related routes
 const userRouter = Router();
 
+// Rate limits for the routes that check secrets (passwords, refresh tokens, 2FA codes)
+// Requests are counted per IP address and per account; going over either limit returns 429
+const loginLimiter = rateLimit({
+    name: "login",
+    windowMs: 15 * 60 * 1000,   // 15 minutes
+    maxPerIp: 20,
+    maxPerAccount: 10
+});
+
+const twoFactorLoginLimiter = rateLimit({
+    name: "login-2fa",
+    windowMs: 15 * 60 * 1000,   // 15 minutes
+    maxPerIp: 20,
+    maxPerAccount: 5
+});
+
+const refreshTokenLimiter = rateLimit({
+    name: "refresh-token",
+    windowMs: 60 * 1000,        // 1 minute
+    maxPerIp: 30
+});
+
+const changePasswordLimiter = rateLimit({
+    name: "change-password",
+    windowMs: 60 * 60 * 1000,   // 1 hour
+    maxPerIp: 20,
+    maxPerAccount: 5
+});
+
 // Defining a POST route for the "/register" endpoint.
 // When a POST request is made to this endpoint, two things happen:
 // 1. The `upload.fields()` middleware runs first to handle image uploads (avatar and coverImage).
-// 2. Then, the `registerUser` controller function runs to process the request data and register the user.
+// 2. Then, `validate()` checks the text fields multer put in req.body (fullName, username, email, password).
+// 3. Finally, the `registerUser` controller function runs to process the request data and register the user.
 // userRouter.route("/register").post(registerUser);        // Register route without middleware
 userRouter.route("/register").post(
     upload.fields([
@@ -43,21 +103,40 @@ userRouter.route("/register").post(
             maxCount: 1             // Allows uploading only 1 avatar file
         }
     ]),
+    validate(registerUserSchema),   // Reject invalid input before anything is stored
     registerUser                    // Controller function to handle the actual registration logic
 );
 
-userRouter.route("/login").post(loginUser);
+userRouter.route("/login").post(loginLimiter, validate(loginUserSchema), loginUser);
+// Second login step for accounts with two-factor authentication enabled
+userRouter.route("/login/2fa").post(twoFactorLoginLimiter, validate(verifyTwoFactorLoginSchema), verifyTwoFactorLogin);
 
 userRouter.route("/logout").post( verifyJwt, logoutUser)
-userRouter.route("/refresh-token").post(refreshAccessToken)
-userRouter.route("/change-password").post( verifyJwt, chnageCurrentPassword)
+userRouter.route("/refresh-token").post(refreshTokenLimiter, refreshAccessToken)
+userRouter.route("/verify-email").post(validate(verifyEmailSchema), verifyEmail)
+userRouter.route("/resend-verification").post(verifyJwt, resendEmailVerification)
+// Sensitive routes additionally require a verified e-mail address (requireVerifiedEmail)
+userRouter.route("/change-password").post( verifyJwt, changePasswordLimiter, requireVerifiedEmail, validate(changePasswordSchema), chnageCurrentPassword)
+userRouter.route("/forgot-password").post(validate(forgotPasswordSchema), forgotPassword)
+userRouter.route("/reset-password").post(validate(resetPasswordSchema), resetPassword)
 userRouter.route("/current-user").get( verifyJwt, getAccountDetails)
-userRouter.route("/update-account").post( verifyJwt, changeAccountDetails)
+userRouter.route("/2fa/enroll").post(verifyJwt, enrollTwoFactor)
+userRouter.route("/2fa/confirm").post(verifyJwt, validate(confirmTwoFactorSchema), confirmTwoFactor)
+userRouter.route("/2fa/disable").post(verifyJwt, validate(disableTwoFactorSchema), disableTwoFactor)
+userRouter.route("/sessions").get(verifyJwt, getSessions)
+userRouter.route("/sessions/revoke-others").post(verifyJwt, revokeOtherSessions)
+userRouter.route("/sessions/:sessionId").delete(verifyJwt, validate(sessionIdSchema), revokeSession)
+// Open to unverified users too, so an address mistyped at signup can be corrected
+userRouter.route("/update-account").post( verifyJwt, validate(changeAccountDetailsSchema), changeAccountDetails)
 userRouter.route("/update-avatar-image").post( verifyJwt, upload.single("avatar"), changeUserAvatar)
 userRouter.route("/update-cover-image").patch( verifyJwt, upload.single("coverImage"), changeUserCoverImage)
-userRouter.route("/channel/:username").get(getUserIfAuthenticated, getUserChannelProfile)
+userRouter.route("/channel/:username").get(getUserIfAuthenticated, validate(channelProfileSchema), getUserChannelProfile)
 userRouter.route("/history").get(verifyJwt, getWatchHistory)
-userRouter.route("/subscribe-channel").post(verifyJwt, subscribeChannel)
+userRouter.route("/subscribe-channel").post(verifyJwt, validate(channelIdSchema), subscribeChannel)
+userRouter.route("/unsubscribe-channel").post(verifyJwt, validate(channelIdSchema), unsubscribeChannel)
+userRouter.route("/channel/:username/subscribers").get(getUserIfAuthenticated, validate(channelListSchema), getChannelSubscribers)
+userRouter.route("/channel/:username/posts").get(getUserIfAuthenticated, validate(channelListSchema), getChannelPosts)
+userRouter.route("/:id/subscriptions").get(getUserIfAuthenticated, validate(userSubscriptionsSchema), getUserSubscriptions)
 
 // Exporting the userRouter so it can be used in other parts of the application,
 // typically to be mounted in the main app (e.g., app.use("/api/users", userRouter))
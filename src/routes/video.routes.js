@@ -0,0 +1,75 @@
+// Importing the Router function from express to build a modular set of video routes
+import { Router } from "express";
+
+// 'upload' handles multipart/form-data so video and thumbnail files land in public/temp
+import { upload } from "../middlewares/multer.middleware.js";
+
+import {
+    getAllVideos,
+    publishAVideo,
+    getVideoById,
+    streamVideo,
+    recordView,
+    updateVideo,
+    deleteVideo,
+    getVideoStatus,
+    togglePublishStatus
+} from "../controllers/video.controller.js";
+import { verifyJwt, getUserIfAuthenticated, requireVerifiedEmail } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    getAllVideosSchema,
+    publishVideoSchema,
+    updateVideoSchema,
+    videoIdSchema
+} from "../validations/video.validate.js";
+
+// Creating a new router instance for handling video-related routes
+const videoRouter = Router();
+
+// Listing is public; logged-in users additionally see their own unpublished videos.
+// Publishing a video requires a verified e-mail address and expects two files:
+// the video itself and its thumbnail image. Large videos can be sent beforehand through the resumable
+// upload routes (/api/v1/uploads) and referenced by `uploadId` instead of a videoFile.
+// The video file is processed in the background (see getVideoStatus)
+videoRouter
+    .route("/")
+    .get(getUserIfAuthenticated, validate(getAllVideosSchema), getAllVideos)
+    .post(
+        verifyJwt,
+        requireVerifiedEmail,
+        upload.fields([
+            {
+                name: "videoFile",      // Accepts a field named 'videoFile'
+                maxCount: 1             // Only one video per request
+            },
+            {
+                name: "thumbnail",      // Accepts a field named 'thumbnail'
+                maxCount: 1             // Only one thumbnail per request
+            }
+        ]),
+        validate(publishVideoSchema),
+        publishAVideo
+    );
+
+// Reading a video is public (unpublished ones are only returned to their owner),
+// changing or deleting it requires the owner to be logged in
+videoRouter
+    .route("/:videoId")
+    .get(getUserIfAuthenticated, validate(videoIdSchema), getVideoById)
+    .patch(verifyJwt, upload.single("thumbnail"), validate(updateVideoSchema), updateVideo)
+    .delete(verifyJwt, validate(videoIdSchema), deleteVideo);
+
+// The video file itself, with range requests for seeking; same visibility rules as reading the video
+videoRouter.route("/:videoId/stream").get(getUserIfAuthenticated, validate(videoIdSchema), streamVideo);
+
+// Record a view; anonymous viewers are told apart by a cookie (see utils/viewCounter.js)
+videoRouter.route("/:videoId/views").post(getUserIfAuthenticated, validate(videoIdSchema), recordView);
+
+// Processing status of an uploaded video, polled by its owner after publishing
+videoRouter.route("/:videoId/status").get(verifyJwt, validate(videoIdSchema), getVideoStatus);
+
+videoRouter.route("/toggle/publish/:videoId").patch(verifyJwt, validate(videoIdSchema), togglePublishStatus);
+
+// Exporting the router so it can be mounted in app.js under /api/v1/videos
+export default videoRouter;
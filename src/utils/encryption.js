@@ -0,0 +1,40 @@
+// Import Node's built-in crypto module for AES-GCM encryption
+import crypto from "crypto";
+
+// AES-256-GCM: authenticated encryption, so tampered ciphertexts are rejected on decrypt
+const ALGORITHM = "aes-256-gcm";
+
+// Derive a 32-byte key from the configured secret (any length of secret is accepted)
+const getKey = () => {
+    const secret = process.env.ENCRYPTION_KEY;
+
+    if (!secret) {
+        throw new Error("ENCRYPTION_KEY is not configured");
+    }
+
+    return crypto.createHash("sha256").update(secret).digest();
+};
+
+// Encrypt a string for storage in the database
+// Output format: iv:authTag:ciphertext (all base64)
+const encrypt = (plainText) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(plainText), "utf8"), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64")).join(":");
+};
+
+// Decrypt a value produced by `encrypt`
+const decrypt = (payload) => {
+    const [iv, authTag, encrypted] = String(payload)
+        .split(":")
+        .map((part) => Buffer.from(part, "base64"));
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+export { encrypt, decrypt };
@@ -0,0 +1,7 @@
+// Escape characters that have a special meaning in HTML
+// so user supplied text (e.g. a full name) can safely be placed in an HTML e-mail
+const HTML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" };
+
+const escapeHtml = (text = "") => String(text).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+export { escapeHtml };
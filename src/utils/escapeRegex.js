@@ -0,0 +1,5 @@
+// Escape characters that have a special meaning in regular expressions
+// so user supplied search text can safely be used inside a MongoDB $regex
+const escapeRegex = (text = "") => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export { escapeRegex };
@@ -0,0 +1,76 @@
+// Detect the type of an uploaded file from its first bytes ("magic bytes")
+// instead of trusting the file name or the Content-Type sent by the client
+
+// Number of leading bytes needed to recognise every supported type
+const FILE_TYPE_HEADER_LENGTH = 64;
+
+// Does `buffer` contain the given bytes at `offset`?
+const startsWith = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length &&
+    bytes.every((byte, index) => buffer[offset + index] === byte);
+
+// Same, for ASCII signatures such as "GIF89a"
+const startsWithText = (buffer, text, offset = 0) =>
+    startsWith(buffer, [...Buffer.from(text, "latin1")], offset);
+
+// ISO base media brands (bytes 8-11 after "ftyp") that are still images, not videos
+const IMAGE_BRANDS = ["avif", "avis", "heic", "heix", "mif1", "msf1"];
+
+/**
+ * Work out the type of a file from its first bytes.
+ *
+ * @param {Buffer} header - At least the first FILE_TYPE_HEADER_LENGTH bytes (or the whole file if shorter)
+ * @returns {{ kind: "image"|"video", mimeType: string, extension: string }|null} - null if not a supported type
+ */
+const detectFileType = (header) => {
+    // ---- Images ----
+    if (startsWith(header, [0xff, 0xd8, 0xff])) {
+        return { kind: "image", mimeType: "image/jpeg", extension: ".jpg" };
+    }
+
+    if (startsWith(header, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+        return { kind: "image", mimeType: "image/png", extension: ".png" };
+    }
+
+    if (startsWithText(header, "GIF87a") || startsWithText(header, "GIF89a")) {
+        return { kind: "image", mimeType: "image/gif", extension: ".gif" };
+    }
+
+    if (startsWithText(header, "RIFF") && startsWithText(header, "WEBP", 8)) {
+        return { kind: "image", mimeType: "image/webp", extension: ".webp" };
+    }
+
+    // ---- Videos ----
+    // MP4 / QuickTime: a box of type "ftyp" first, followed by the major brand
+    if (startsWithText(header, "ftyp", 4)) {
+        const brand = header.subarray(8, 12).toString("latin1");
+
+        if (brand === "qt  ") {
+            return { kind: "video", mimeType: "video/quicktime", extension: ".mov" };
+        }
+
+        return IMAGE_BRANDS.includes(brand)
+            ? null
+            : { kind: "video", mimeType: "video/mp4", extension: ".mp4" };
+    }
+
+    // WebM / Matroska: an EBML header whose DocType tells the two apart
+    if (startsWith(header, [0x1a, 0x45, 0xdf, 0xa3])) {
+        return header.includes("webm", 0, "latin1")
+            ? { kind: "video", mimeType: "video/webm", extension: ".webm" }
+            : { kind: "video", mimeType: "video/x-matroska", extension: ".mkv" };
+    }
+
+    return null;
+};
+
+// Content-Type of a stored video by its extension, matching the types detected above
+// (the generic mime table maps .mp4 to "application/mp4", which some players refuse)
+const VIDEO_MIME_TYPES = {
+    ".mp4": "video/mp4",
+    ".mov": "video/quicktime",
+    ".webm": "video/webm",
+    ".mkv": "video/x-matroska"
+};
+
+export { detectFileType, FILE_TYPE_HEADER_LENGTH, VIDEO_MIME_TYPES };
@@ -0,0 +1,8 @@
+// Import Node's built-in crypto module for hashing
+import crypto from "crypto";
+
+// Hash a token (refresh token, reset token, ...) with SHA-256 before storing it,
+// so a database leak does not expose tokens that could be used directly
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+export { hashToken };
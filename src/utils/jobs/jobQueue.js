@@ -0,0 +1,180 @@
+// Import os to name this worker after its host
+import os from "os";
+
+import { Job } from "../../models/job.model.js";
+
+// First retry delay; every further attempt waits twice as long, up to MAX_RETRY_DELAY_MS
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Registered handlers by job type: { run(job), onDead?(job) }
+const handlers = new Map();
+
+/**
+ * Register what to do for jobs of a type.
+ *
+ * @param {string} type - Job type, e.g. "process_video"
+ * @param {Object} handler
+ * @param {Function} handler.run - async (job) => result; throwing schedules a retry
+ * @param {Function} [handler.onDead] - async (job) => void; called once the last attempt failed
+ */
+const registerJobHandler = (type, handler) => {
+    handlers.set(type, handler);
+};
+
+/**
+ * Add a job to the queue.
+ *
+ * @param {string} type - Job type (a handler must be registered for it)
+ * @param {Object} payload - Data passed to the handler as `job.payload`
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Attempts before the job is dead (default 5)
+ * @param {Date} [options.runAt] - Do not run before this time (default now)
+ * @returns {Promise<Object>} - The Job document
+ */
+const enqueueJob = (type, payload, { maxAttempts, runAt } = {}) =>
+    Job.create({ type, payload, maxAttempts, runAt });
+
+// Status of a job, as shown to clients (null if it does not exist, e.g. removed after finishing)
+// `lastError` is left out: handler errors may mention internals
+const getJobStatus = (jobId) =>
+    Job.findById(jobId)
+        .select("type status attempts maxAttempts runAt finishedAt createdAt")
+        .lean();
+
+// Delay before the next attempt after `attempts` failed ones (30s, 1m, 2m, 4m, ... capped at 1h)
+const getRetryDelay = (attempts) =>
+    Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+// Atomically take the next due job: a queued job whose time has come,
+// or a running one whose worker stopped answering (its lock is older than `lockTimeoutMs`)
+const claimNextJob = (workerId, lockTimeoutMs) => {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+        {
+            type: { $in: [...handlers.keys()] },
+            $or: [
+                { status: "queued", runAt: { $lte: now } },
+                { status: "running", lockedAt: { $lt: new Date(now.getTime() - lockTimeoutMs) } }
+            ]
+        },
+        {
+            $set: { status: "running", lockedAt: now, lockedBy: workerId },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+// Keep the lock of a running job fresh, so a long job (e.g. a slow upload to Cloudinary) is not mistaken
+// for an abandoned one and run a second time by another worker. Returns a function that stops it
+const startLockHeartbeat = (lock, lockTimeoutMs) => {
+    const timer = setInterval(() => {
+        Job.updateOne(lock, { $set: { lockedAt: new Date() } }).catch((error) => {
+            console.error(`Error while extending the lock of job ${lock._id}:`, error);
+        });
+    }, lockTimeoutMs / 3);
+
+    // The timer alone must not keep the process alive
+    timer.unref();
+
+    return () => clearInterval(timer);
+};
+
+// Run a claimed job and record the outcome
+// Updates are conditioned on still holding the lock, in case another worker took an abandoned job over
+const runJob = async (job, workerId, lockTimeoutMs) => {
+    const handler = handlers.get(job.type);
+    const lock = { _id: job._id, status: "running", lockedBy: workerId };
+    const stopHeartbeat = startLockHeartbeat(lock, lockTimeoutMs);
+
+    try {
+        // A job re-claimed after its worker died may already have used up its attempts
+        if (job.attempts > job.maxAttempts) {
+            throw new Error("The worker running the last attempt stopped before it finished");
+        }
+
+        const result = await handler.run(job);
+
+        await Job.updateOne(lock, {
+            $set: { status: "completed", result: result ?? null, finishedAt: new Date(), lockedAt: null, lockedBy: null }
+        });
+    } catch (error) {
+        const lastError = error?.message || String(error);
+
+        if (job.attempts >= job.maxAttempts) {
+            const dead = await Job.findOneAndUpdate(
+                lock,
+                { $set: { status: "dead", lastError, finishedAt: new Date(), lockedAt: null, lockedBy: null } },
+                { new: true }
+            );
+
+            if (dead && handler.onDead) {
+                await handler.onDead(dead);
+            }
+
+            return;
+        }
+
+        await Job.updateOne(lock, {
+            $set: {
+                status: "queued",
+                lastError,
+                runAt: new Date(Date.now() + getRetryDelay(job.attempts)),
+                lockedAt: null,
+                lockedBy: null
+            }
+        });
+    } finally {
+        stopHeartbeat();
+    }
+};
+
+/**
+ * Start a worker that runs due jobs one after another, checking for new ones every `pollIntervalMs`.
+ * Every app instance can run a worker; claiming is atomic, so a job only runs once at a time.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.pollIntervalMs] - Wait between checks when there is nothing to do (default 5s)
+ * @param {number} [options.lockTimeoutMs] - A running job whose lock was not extended for this long is considered
+ *                                          abandoned (default 30 min; the lock is extended every third of it)
+ * @returns {{ stop: () => void }} - Call `stop` to let the worker finish its current job and stop
+ */
+const startJobWorker = ({ pollIntervalMs = 5000, lockTimeoutMs = 30 * 60 * 1000 } = {}) => {
+    const workerId = `${os.hostname()}:${process.pid}`;
+    let stopped = false;
+    let timer = null;
+
+    const tick = async () => {
+        try {
+            // Work through every due job, then wait for the next check
+            while (!stopped) {
+                const job = await claimNextJob(workerId, lockTimeoutMs);
+                if (!job) break;
+
+                await runJob(job, workerId, lockTimeoutMs);
+            }
+        } catch (error) {
+            console.error("Job worker error:", error);
+        }
+
+        if (!stopped) {
+            timer = setTimeout(tick, pollIntervalMs);
+
+            // The timer alone must not keep the process alive
+            timer.unref();
+        }
+    };
+
+    tick();
+
+    return {
+        stop: () => {
+            stopped = true;
+            clearTimeout(timer);
+        }
+    };
+};
+
+export { registerJobHandler, enqueueJob, getJobStatus, startJobWorker };
@@ -0,0 +1,38 @@
+// Import fs and path to write messages to disk
+import fs from "fs";
+import path from "path";
+
+/**
+ * Create a mail transport that writes every message as a JSON file instead of sending it.
+ * Useful in development and tests, where no mail server is available.
+ *
+ * @param {string} directory - Folder where the message files are written
+ * @returns {{ send: (message: Object) => Promise<Object> }} - Mail transport
+ */
+const createFileTransport = (directory) => ({
+    send: async (message) => {
+        await fs.promises.mkdir(directory, { recursive: true });
+
+        // One file per message, e.g. 1715000000000-reset-password-user-example-com.json
+        const slug = `${message.subject}-${message.to}`.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+        const filePath = path.join(directory, `${Date.now()}-${slug}.json`);
+
+        await fs.promises.writeFile(filePath, JSON.stringify(message, null, 4));
+
+        return { filePath };
+    }
+});
+
+/**
+ * Create a mail transport that prints every message to the console.
+ *
+ * @returns {{ send: (message: Object) => Promise<Object> }} - Mail transport
+ */
+const createConsoleTransport = () => ({
+    send: async (message) => {
+        console.log(`\n---- Mail to ${message.to}: ${message.subject} ----\n${message.text}\n`);
+        return {};
+    }
+});
+
+export { createFileTransport, createConsoleTransport };
@@ -0,0 +1,64 @@
+// Import the available mail transports
+// Every transport exposes the same interface: `send(message) => Promise`
+// where message = { from, to, subject, text, html }
+import { createSmtpTransport } from "./smtp.transport.js";
+import { createFileTransport, createConsoleTransport } from "./file.transport.js";
+
+// Transport instance, created lazily on first use so environment variables are loaded by then
+let transport = null;
+
+// Pick the transport configured by MAIL_TRANSPORT ("smtp", "file" or "console")
+// Outside development it must be set explicitly: the console transport would print
+// live links (e.g. password resets) to the server logs
+const getTransport = () => {
+    if (transport) return transport;
+
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "development" ? "console" : null);
+
+    switch (name) {
+        case "smtp":
+            transport = createSmtpTransport();
+            break;
+        case "file":
+            transport = createFileTransport(process.env.MAIL_FILE_DIR || "./logs/mail");
+            break;
+        case "console":
+            transport = createConsoleTransport();
+            break;
+        default:
+            throw new Error(
+                name
+                    ? `Unknown MAIL_TRANSPORT "${name}" (expected smtp, file or console)`
+                    : "MAIL_TRANSPORT must be set (smtp, file or console) when NODE_ENV is not development"
+            );
+    }
+
+    return transport;
+};
+
+// Check the mail configuration at startup, so a missing transport is noticed before the first e-mail
+const initMailTransport = () => {
+    getTransport();
+};
+
+// Replace the transport (e.g., with an in-memory one in tests)
+const setMailTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+/**
+ * Send an e-mail through the configured transport.
+ *
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - Whatever the transport returns
+ */
+const sendMail = ({ to, subject, text, html }) =>
+    getTransport().send({
+        from: process.env.MAIL_FROM || "no-reply@localhost",
+        to,
+        subject,
+        text,
+        html
+    });
+
+export { sendMail, setMailTransport, initMailTransport };
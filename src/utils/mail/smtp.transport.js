@@ -0,0 +1,30 @@
+// Import nodemailer to talk to an SMTP server
+import nodemailer from "nodemailer";
+
+/**
+ * Create a mail transport that delivers messages through an SMTP server.
+ *
+ * Connection settings come from environment variables (SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+ * SMTP_USER, SMTP_PASSWORD).
+ *
+ * @returns {{ send: (message: Object) => Promise<Object> }} - Mail transport
+ */
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",  // true for port 465, false for STARTTLS
+        auth: process.env.SMTP_USER
+            ? {
+                  user: process.env.SMTP_USER,
+                  pass: process.env.SMTP_PASSWORD
+              }
+            : undefined
+    });
+
+    return {
+        send: (message) => transporter.sendMail(message)
+    };
+};
+
+export { createSmtpTransport };
@@ -0,0 +1,30 @@
+// Import fs to move files between folders
+import fs from "fs";
+
+/**
+ * Move a file, also between different disks / mounts (e.g. a shared volume),
+ * where `rename` fails with EXDEV: the file is then copied and the original removed.
+ *
+ * @param {string} source - Path of the file to move
+ * @param {string} destination - New path (its folder must exist)
+ */
+const moveFile = async (source, destination) => {
+    try {
+        await fs.promises.rename(source, destination);
+    } catch (error) {
+        // rename cannot move files across disks; copy and remove instead
+        if (error.code !== "EXDEV") throw error;
+
+        try {
+            await fs.promises.copyFile(source, destination);
+        } catch (copyError) {
+            // Do not leave a partial copy behind
+            await fs.promises.rm(destination, { force: true });
+            throw copyError;
+        }
+
+        await fs.promises.unlink(source);
+    }
+};
+
+export { moveFile };
@@ -0,0 +1,11 @@
+// Turn the `page` and `limit` query parameters into safe numbers for aggregatePaginate
+// - page defaults to 1 and can never be below 1
+// - limit defaults to `defaultLimit` and is capped at `maxLimit`
+const getPaginationOptions = (query = {}, { defaultLimit = 10, maxLimit = 50 } = {}) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+
+    return { page, limit };
+};
+
+export { getPaginationOptions };
@@ -0,0 +1,44 @@
+// How often expired counters are removed from memory
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create a rate-limit store that keeps its counters in process memory.
+ * Fast and dependency-free, but every app instance counts on its own,
+ * so use the Mongo store when running more than one instance.
+ *
+ * @returns {{ increment: (key: string, windowMs: number) => Promise<{ count: number, resetAt: Date }> }}
+ */
+const createMemoryStore = () => {
+    // key -> { count, resetAt (ms timestamp) }
+    const counters = new Map();
+
+    // Drop finished windows now and then so the map does not grow forever
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) counters.delete(key);
+        }
+    }, CLEANUP_INTERVAL_MS);
+
+    // The timer alone must not keep the process alive
+    cleanup.unref();
+
+    return {
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            let counter = counters.get(key);
+
+            // Start a new window when there is none yet or the previous one is over
+            if (!counter || counter.resetAt <= now) {
+                counter = { count: 0, resetAt: now + windowMs };
+                counters.set(key, counter);
+            }
+
+            counter.count += 1;
+
+            return { count: counter.count, resetAt: new Date(counter.resetAt) };
+        }
+    };
+};
+
+export { createMemoryStore };
@@ -0,0 +1,46 @@
+// Import the model holding one counter per rate-limit key
+import { RateLimit } from "../../models/rateLimit.model.js";
+
+/**
+ * Create a rate-limit store backed by MongoDB, shared by every app instance.
+ * Each increment is a single atomic upsert, so concurrent requests never lose a count.
+ *
+ * @returns {{ increment: (key: string, windowMs: number) => Promise<{ count: number, resetAt: Date }> }}
+ */
+const createMongoStore = () => {
+    const increment = async (key, windowMs, retried = false) => {
+        const now = new Date();
+        const newExpiry = new Date(now.getTime() + windowMs);
+
+        // Both fields are computed from the stored document as it was before this update:
+        // inside the current window the count goes up, otherwise a new window starts at 1
+        const isWindowOpen = { $gt: ["$expiresAt", now] };
+
+        try {
+            const counter = await RateLimit.findOneAndUpdate(
+                { key },
+                [
+                    {
+                        $set: {
+                            count: { $cond: [isWindowOpen, { $add: ["$count", 1] }, 1] },
+                            expiresAt: { $cond: [isWindowOpen, "$expiresAt", newExpiry] }
+                        }
+                    }
+                ],
+                { upsert: true, new: true }
+            ).lean();
+
+            return { count: counter.count, resetAt: counter.expiresAt };
+        } catch (error) {
+            // Two requests upserted the same new key at once; the retry updates the winner's document
+            if (error?.code === 11000 && !retried) {
+                return increment(key, windowMs, true);
+            }
+            throw error;
+        }
+    };
+
+    return { increment };
+};
+
+export { createMongoStore };
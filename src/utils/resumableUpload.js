@@ -0,0 +1,96 @@
+// Import fs and crypto to write chunks to disk and hash them
+import fs from "fs";
+import crypto from "crypto";
+
+// Hash algorithms accepted in checksums ("<algorithm> <base64 digest>", as in the tus protocol)
+const CHECKSUM_ALGORITHMS = ["sha1", "sha256", "md5"];
+
+// Checksum format: algorithm, one space, base64 digest
+const CHECKSUM_PATTERN = /^(sha1|sha256|md5) ([A-Za-z0-9+/]+={0,2})$/;
+
+// Split a checksum string into { algorithm, digest }, or null if it is not in the expected format
+const parseChecksum = (value) => {
+    const match = typeof value === "string" ? value.trim().match(CHECKSUM_PATTERN) : null;
+    return match ? { algorithm: match[1], digest: match[2] } : null;
+};
+
+/**
+ * Write the body of a request into a file, starting at `offset`, while hashing it.
+ * Resolves once the body ended or stopped arriving; never rejects.
+ *
+ * @param {Readable} source - The request
+ * @param {string} filePath - File the chunk is written to (must exist)
+ * @param {number} offset - Position of the first byte of the chunk
+ * @param {number} maxBytes - Bytes the chunk may contain at most (what is left of the upload)
+ * @param {string|null} algorithm - Hash algorithm to compute, or null
+ * @returns {Promise<{ bytesWritten: number, digest: string|null, ended: boolean, exceeded: boolean, error: Error|null }>}
+ *          `ended` is false when the client disconnected before sending the whole chunk
+ */
+const writeChunk = (source, filePath, offset, maxBytes, algorithm) =>
+    new Promise((resolve) => {
+        const output = fs.createWriteStream(filePath, { flags: "r+", start: offset });
+        const hash = algorithm ? crypto.createHash(algorithm) : null;
+
+        let received = 0;
+        let settled = false;
+
+        const finish = ({ ended = false, exceeded = false, error = null }) => {
+            if (settled) return;
+            settled = true;
+
+            // Keep reading (and discarding) the body so a response can still be sent
+            source.resume();
+
+            output.end(() =>
+                resolve({
+                    bytesWritten: output.bytesWritten,
+                    digest: hash ? hash.digest("base64") : null,
+                    ended,
+                    exceeded,
+                    error: error ?? output.errored ?? null
+                })
+            );
+        };
+
+        source.on("data", (chunk) => {
+            if (settled) return;
+
+            received += chunk.length;
+
+            if (received > maxBytes) {
+                return finish({ exceeded: true });
+            }
+
+            hash?.update(chunk);
+
+            // Respect back-pressure so a slow disk does not buffer the whole chunk in memory
+            if (!output.write(chunk)) {
+                source.pause();
+                output.once("drain", () => source.resume());
+            }
+        });
+
+        source.on("end", () => finish({ ended: true }));
+        source.on("close", () => finish({ ended: false }));
+        source.on("error", () => finish({ ended: false }));
+        output.on("error", (error) => finish({ error }));
+    });
+
+/**
+ * Hash a whole file.
+ *
+ * @param {string} filePath
+ * @param {string} algorithm - One of CHECKSUM_ALGORITHMS
+ * @returns {Promise<string>} - Base64 digest
+ */
+const hashFile = (filePath, algorithm) =>
+    new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm);
+
+        fs.createReadStream(filePath)
+            .on("data", (chunk) => hash.update(chunk))
+            .on("end", () => resolve(hash.digest("base64")))
+            .on("error", reject);
+    });
+
+export { CHECKSUM_ALGORITHMS, CHECKSUM_PATTERN, parseChecksum, writeChunk, hashFile };
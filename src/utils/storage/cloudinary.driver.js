@@ -0,0 +1,107 @@
+// Import the v2 version of Cloudinary SDK for Node.js
+import { v2 as cloudinary } from "cloudinary";
+
+// Import fs to remove the temporary upload once Cloudinary has a copy
+import fs from "fs";
+
+// Resource types Cloudinary stores files under; the type is part of every key
+const RESOURCE_TYPES = ["image", "video", "raw"];
+
+// Split a key ("<resource_type>/<public_id>.<format>") into what the Cloudinary API expects
+// Raw files keep their extension in the public id, images and videos do not
+const parseKey = (key) => {
+    const [resourceType, ...rest] = key.split("/");
+    const idWithFormat = rest.join("/");
+
+    if (!RESOURCE_TYPES.includes(resourceType) || !idWithFormat) {
+        throw new Error(`Invalid Cloudinary storage key "${key}"`);
+    }
+
+    const publicId = resourceType === "raw" ? idWithFormat : idWithFormat.replace(/\.[^./]+$/, "");
+
+    return { resourceType, publicId, idWithFormat };
+};
+
+/**
+ * Create a storage driver that keeps files on Cloudinary.
+ * Credentials are read from CLOUDINARI_CLOUD_NAME, CLOUDINARI_API_KEY and CLOUDINARI_API_SECRET.
+ *
+ * Keys look like "video/videos/abc123.mp4": the resource type, then the public id and format,
+ * so a file can be deleted or looked up without guessing how it was uploaded.
+ *
+ * @returns {Object} - Storage driver ({ name, put, delete, getUrl, stat })
+ */
+const createCloudinaryDriver = () => {
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARI_CLOUD_NAME,
+        api_key: process.env.CLOUDINARI_API_KEY,
+        api_secret: process.env.CLOUDINARI_API_SECRET
+    });
+
+    return {
+        name: "cloudinary",
+
+        put: async (localFilePath, { folder } = {}) => {
+            // `resource_type: "auto"` lets Cloudinary decide between image, video and raw
+            const result = await cloudinary.uploader.upload(localFilePath, {
+                resource_type: "auto",
+                folder
+            });
+
+            await fs.promises.unlink(localFilePath);
+
+            const format = result.format ? `.${result.format}` : "";
+
+            return {
+                key: `${result.resource_type}/${result.public_id}${format}`,
+                size: result.bytes,
+                // Only reported for audio / video uploads
+                duration: result.duration
+            };
+        },
+
+        delete: async (key) => {
+            const { resourceType, publicId } = parseKey(key);
+
+            const result = await cloudinary.uploader.destroy(publicId, {
+                resource_type: resourceType,
+                invalidate: true
+            });
+
+            // "not found" means there is nothing left to delete, which is what the caller wants
+            return result.result === "ok" || result.result === "not found";
+        },
+
+        getUrl: (key) => {
+            const { resourceType, idWithFormat } = parseKey(key);
+
+            return cloudinary.url(idWithFormat, { resource_type: resourceType, secure: true });
+        },
+
+        stat: async (key) => {
+            const { resourceType, publicId } = parseKey(key);
+
+            try {
+                const resource = await cloudinary.api.resource(publicId, { resource_type: resourceType });
+
+                return { size: resource.bytes, lastModified: new Date(resource.created_at) };
+            } catch (error) {
+                if (error?.error?.http_code === 404) return null;
+                throw error;
+            }
+        }
+    };
+};
+
+// Rebuild the key of a file uploaded before storage keys were saved, from its delivery URL
+// e.g. https://res.cloudinary.com/demo/video/upload/v1712345678/abc123.mp4 -> video/abc123.mp4
+// Returns null when the URL is not a Cloudinary upload URL
+const keyFromCloudinaryUrl = (url) => {
+    const match = typeof url === "string"
+        ? url.match(/\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+)$/)
+        : null;
+
+    return match ? `${match[1]}/${match[2]}` : null;
+};
+
+export { createCloudinaryDriver, keyFromCloudinaryUrl };
@@ -0,0 +1,96 @@
+// Import fs, path and crypto to move uploads into place under unique names
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+import { moveFile } from "../moveFile.js";
+
+// Keys are one or more folder names and a file name; nothing that could leave the storage folder
+const KEY_PATTERN = /^(?:[a-z0-9_-]+\/)*[a-zA-Z0-9_-]+(?:\.[a-z0-9]{1,8})?$/;
+
+// Extension given by the caller, so the static server sends the right Content-Type
+const EXTENSION_PATTERN = /^\.[a-z0-9]{1,8}$/;
+
+/**
+ * Create a storage driver that keeps files on the local disk, inside the `public/` folder
+ * that the app already serves with `express.static` (so no extra route is needed).
+ * Folders listed in `privateFolders` are kept in `privateDir` instead, outside `public/`:
+ * their files have no public URL and are only read through createReadStream (e.g. videos,
+ * which GET /videos/:videoId/stream serves after checking that the video may be watched).
+ *
+ * Keys look like "avatars/3f2b...e1.png", relative to `<publicDir>/<uploadsDir>`
+ * (or to `privateDir` for private folders).
+ *
+ * @param {Object} options
+ * @param {string} options.publicDir - Folder served as static files (e.g. "./public")
+ * @param {string} options.uploadsDir - Sub-folder of `publicDir` that holds the stored files
+ * @param {string} [options.privateDir] - Folder, not served, that holds the files of private folders
+ * @param {string[]} [options.privateFolders] - Top-level folders stored in `privateDir` (e.g. ["videos"])
+ * @param {string} [options.baseUrl] - Prefix of the returned URLs (e.g. "https://api.example.com");
+ *                                     empty to return paths relative to this server
+ * @returns {Object} - Storage driver ({ name, put, delete, getUrl, stat, createReadStream })
+ */
+const createLocalDriver = ({ publicDir, uploadsDir, privateDir, privateFolders = [], baseUrl = "" }) => {
+    const root = path.resolve(publicDir, uploadsDir);
+    const privateRoot = privateDir ? path.resolve(privateDir) : null;
+
+    // Whether a key belongs to a private folder
+    const isPrivateKey = (key) => Boolean(privateRoot) && privateFolders.includes(key.split("/")[0]);
+
+    // Absolute path of a stored file; rejects keys that are not ours
+    const resolveKey = (key) => {
+        if (typeof key !== "string" || !KEY_PATTERN.test(key)) {
+            throw new Error(`Invalid local storage key "${key}"`);
+        }
+
+        return path.join(isPrivateKey(key) ? privateRoot : root, key);
+    };
+
+    return {
+        name: "local",
+
+        put: async (localFilePath, { folder, extension } = {}) => {
+            const fileName = crypto.randomUUID() + (EXTENSION_PATTERN.test(extension ?? "") ? extension : "");
+            const key = folder ? `${folder}/${fileName}` : fileName;
+            const destination = resolveKey(key);
+
+            await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+
+            await moveFile(localFilePath, destination);
+
+            const { size } = await fs.promises.stat(destination);
+
+            return { key, size };
+        },
+
+        delete: async (key) => {
+            try {
+                await fs.promises.unlink(resolveKey(key));
+            } catch (error) {
+                // Already gone counts as deleted
+                if (error.code !== "ENOENT") throw error;
+            }
+
+            return true;
+        },
+
+        // Private files are not reachable by URL
+        getUrl: (key) => (isPrivateKey(key) ? null : `${baseUrl.replace(/\/+$/, "")}/${uploadsDir}/${key}`),
+
+        stat: async (key) => {
+            try {
+                const stats = await fs.promises.stat(resolveKey(key));
+
+                return { size: stats.size, lastModified: stats.mtime };
+            } catch (error) {
+                if (error.code === "ENOENT") return null;
+                throw error;
+            }
+        },
+
+        // Read a stored file, or the part of it between `start` and `end` (inclusive)
+        createReadStream: (key, { start, end } = {}) => fs.createReadStream(resolveKey(key), { start, end })
+    };
+};
+
+export { createLocalDriver };
@@ -0,0 +1,146 @@
+// Import fs to remove temporary uploads that could not be stored
+import fs from "fs";
+
+// Import the available storage drivers
+// Every driver exposes the same interface:
+//   put(localFilePath, { folder, extension }) => Promise<{ key, size, duration? }>
+//   delete(key) => Promise<boolean>
+//   getUrl(key) => string, or null for files that are only read through createReadStream
+//   stat(key) => Promise<{ size, lastModified } | null>
+// and, if the files can be read by this server (not for hosted storage such as Cloudinary):
+//   createReadStream(key, { start, end }) => Readable
+import { createCloudinaryDriver, keyFromCloudinaryUrl } from "./cloudinary.driver.js";
+import { createLocalDriver } from "./local.driver.js";
+import { PRIVATE_STORAGE_DIR } from "../../constants.js";
+
+// Driver instances by name, created lazily on first use so environment variables are loaded by then
+// Files stay with the driver that stored them, so older files remain reachable after STORAGE_DRIVER changes
+const drivers = new Map();
+
+const DRIVER_FACTORIES = {
+    cloudinary: () => createCloudinaryDriver(),
+    local: () =>
+        createLocalDriver({
+            publicDir: "./public",
+            uploadsDir: "uploads",
+            // Videos must not be downloadable by anybody who learns their URL (see streamVideo)
+            privateDir: PRIVATE_STORAGE_DIR,
+            privateFolders: ["videos"],
+            baseUrl: process.env.STORAGE_PUBLIC_URL || ""
+        })
+};
+
+// Get a driver by name
+const getDriver = (name) => {
+    if (drivers.has(name)) return drivers.get(name);
+
+    const factory = DRIVER_FACTORIES[name];
+
+    if (!factory) {
+        throw new Error(`Unknown storage driver "${name}"`);
+    }
+
+    const driver = factory();
+    drivers.set(name, driver);
+
+    return driver;
+};
+
+// Driver used for new uploads, configured by STORAGE_DRIVER ("cloudinary" or "local")
+// Defaults to "cloudinary", where uploads went before drivers existed, so existing deployments keep working
+const getDefaultDriver = () => getDriver(process.env.STORAGE_DRIVER || "cloudinary");
+
+// Replace a driver (e.g., with an in-memory one in tests); it is used for assets of the same name
+const setStorageDriver = (customDriver) => {
+    drivers.set(customDriver.name, customDriver);
+};
+
+/**
+ * Store a local file with the configured driver. The local file is moved / removed on success.
+ *
+ * @param {string} localFilePath - Path of the file to store
+ * @param {Object} [options]
+ * @param {string} [options.folder] - Folder to group files by (e.g. "avatars")
+ * @param {string} [options.extension] - Extension matching the file's content (e.g. ".png", see multer.middleware.js)
+ * @returns {Promise<Object>} - { provider, key, url, size, duration? }; throws if storing failed
+ */
+const storeFile = async (localFilePath, options = {}) => {
+    const driver = getDefaultDriver();
+    const stored = await driver.put(localFilePath, options);
+
+    return { provider: driver.name, url: driver.getUrl(stored.key), ...stored };
+};
+
+/**
+ * Store an uploaded temporary file, like `storeFile`, but never throws:
+ * the temporary file is removed whether or not storing succeeds.
+ *
+ * @param {string} localFilePath - Path of the file written by multer
+ * @param {Object} [options] - See storeFile
+ * @returns {Promise<Object|null>} - { provider, key, url, size, duration? }, or null if storing failed
+ */
+const putFile = async (localFilePath, options = {}) => {
+    if (!localFilePath) return null;
+
+    try {
+        return await storeFile(localFilePath, options);
+    } catch (error) {
+        console.error("Error while storing file:", error);
+
+        // The driver may have failed before moving the file away
+        fs.unlink(localFilePath, () => {});
+
+        return null;
+    }
+};
+
+// Asset of a document field: the saved { provider, key }, or for records created before
+// assets were saved, one rebuilt from the stored Cloudinary URL (null if there is nothing to manage)
+const resolveAsset = (asset, legacyUrl) => {
+    if (asset?.provider && asset?.key) return asset;
+
+    const key = keyFromCloudinaryUrl(legacyUrl);
+
+    return key ? { provider: "cloudinary", key } : null;
+};
+
+/**
+ * Delete a stored file. Missing assets and already deleted files are not an error.
+ *
+ * @param {Object|null} asset - { provider, key }
+ * @returns {Promise<boolean>} - true if the file is gone
+ */
+const deleteFile = async (asset) => {
+    if (!asset?.key) return true;
+
+    try {
+        return await getDriver(asset.provider).delete(asset.key);
+    } catch (error) {
+        console.error(`Error while deleting ${asset.provider} file "${asset.key}":`, error);
+        return false;
+    }
+};
+
+// Public URL of a stored file
+const getFileUrl = (asset) => (asset?.key ? getDriver(asset.provider).getUrl(asset.key) : null);
+
+// Size and last modification date of a stored file (null if it does not exist)
+const statFile = async (asset) => (asset?.key ? getDriver(asset.provider).stat(asset.key) : null);
+
+// Whether this server can read a stored file itself; otherwise it is served by the provider at getFileUrl()
+const canReadFile = (asset) => Boolean(asset?.key && getDriver(asset.provider).createReadStream);
+
+// Read a stored file, or the bytes from `start` to `end` (inclusive); check canReadFile() first
+const createFileReadStream = (asset, range = {}) => getDriver(asset.provider).createReadStream(asset.key, range);
+
+export {
+    storeFile,
+    putFile,
+    deleteFile,
+    getFileUrl,
+    statFile,
+    canReadFile,
+    createFileReadStream,
+    resolveAsset,
+    setStorageDriver
+};
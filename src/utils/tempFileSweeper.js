@@ -0,0 +1,57 @@
+// Import fs and path to list and remove old files
+import fs from "fs";
+import path from "path";
+
+/**
+ * Periodically remove files left behind in the temporary upload folder
+ * (e.g. after a crash in the middle of a request, before its cleanup could run).
+ * Hidden files such as `.gitkeep` are kept.
+ *
+ * @param {Object} options
+ * @param {string} options.directory - Folder to clean
+ * @param {number} options.maxAgeMs - Files last modified longer ago than this are removed
+ * @param {number} options.intervalMs - Time between two sweeps
+ * @returns {NodeJS.Timeout} - The timer, in case the caller wants to stop it
+ */
+const startTempFileSweeper = ({ directory, maxAgeMs, intervalMs }) => {
+    const sweep = async () => {
+        try {
+            const fileNames = await fs.promises.readdir(directory);
+            const cutoff = Date.now() - maxAgeMs;
+
+            for (const fileName of fileNames) {
+                if (fileName.startsWith(".")) continue;
+
+                const filePath = path.join(directory, fileName);
+
+                try {
+                    const stats = await fs.promises.stat(filePath);
+
+                    if (stats.isFile() && stats.mtimeMs < cutoff) {
+                        await fs.promises.unlink(filePath);
+                    }
+                } catch (error) {
+                    // Removed in the meantime (e.g. stored by a controller): nothing to do
+                    if (error.code !== "ENOENT") throw error;
+                }
+            }
+        } catch (error) {
+            // The folder is only created by the first upload that needs it
+            if (error.code === "ENOENT") return;
+
+            console.error("Error while cleaning temporary uploads:", error);
+        }
+    };
+
+    // Clean up once right away (the server may have been down for a while), then on every interval
+    sweep();
+
+    const timer = setInterval(sweep, intervalMs);
+
+    // The timer alone must not keep the process alive
+    timer.unref();
+
+    return timer;
+};
+
+export { startTempFileSweeper };
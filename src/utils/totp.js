@@ -0,0 +1,136 @@
+// Import Node's built-in crypto module for HMAC and random bytes
+import crypto from "crypto";
+
+// RFC 4648 base32 alphabet used by authenticator apps for shared secrets
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Default TOTP parameters understood by every common authenticator app
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Encode a Buffer as base32 (without padding)
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+// Decode a base32 string (case-insensitive, padding and spaces ignored) into a Buffer
+const base32Decode = (text) => {
+    const cleaned = String(text).toUpperCase().replace(/[\s=]/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+
+        if (index === -1) {
+            throw new Error("Invalid base32 character");
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// Generate a new random shared secret (160 bits, as recommended by RFC 4226), base32 encoded
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Compute the HOTP value (RFC 4226) of a base32 secret for a given counter
+const generateHotp = (secret, counter, digits = TOTP_DIGITS) => {
+    // The counter is an 8-byte big-endian integer
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest();
+
+    // Dynamic truncation: the low 4 bits of the last byte select where the 31-bit code starts
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(code % 10 ** digits).padStart(digits, "0");
+};
+
+// Time step (counter) for a point in time (RFC 6238)
+const getTimeStep = (timestampMs = Date.now()) => Math.floor(timestampMs / 1000 / TOTP_STEP_SECONDS);
+
+// Compute the TOTP code of a secret for a point in time
+const generateTotp = (secret, timestampMs = Date.now(), digits = TOTP_DIGITS) =>
+    generateHotp(secret, getTimeStep(timestampMs), digits);
+
+/**
+ * Check a TOTP code, allowing `window` steps of clock drift in both directions.
+ *
+ * @param {string} secret - Base32 shared secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} options - { window = 1, timestampMs = Date.now() }
+ * @returns {number|null} - The matching time step (store it to refuse replays), or null if invalid
+ */
+const verifyTotp = (secret, code, { window = 1, timestampMs = Date.now() } = {}) => {
+    const normalized = String(code ?? "").replace(/\s/g, "");
+
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+        return null;
+    }
+
+    const currentStep = getTimeStep(timestampMs);
+
+    for (let drift = -window; drift <= window; drift++) {
+        const expected = generateHotp(secret, currentStep + drift);
+
+        // Constant-time comparison so timing does not reveal how many digits matched
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return currentStep + drift;
+        }
+    }
+
+    return null;
+};
+
+// Build the otpauth:// URI that authenticator apps read (usually from a QR code)
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export {
+    base32Encode,
+    base32Decode,
+    generateTotpSecret,
+    generateHotp,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri
+};
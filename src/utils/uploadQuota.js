@@ -0,0 +1,42 @@
+import { UploadQuota } from "../models/uploadQuota.model.js";
+
+/**
+ * Reserve bytes of a user's resumable upload quota.
+ * The check and the reservation are one conditional update, so concurrent uploads cannot exceed the quota.
+ *
+ * @param {string|ObjectId} ownerId
+ * @param {number} bytes - Size of the new upload
+ * @param {number} quota - Bytes the user may have reserved at once
+ * @returns {Promise<boolean>} - false if the reservation would exceed the quota
+ */
+const reserveUploadQuota = async (ownerId, bytes, quota) => {
+    // Make sure the user's counter exists (a concurrent request may create it first)
+    try {
+        await UploadQuota.updateOne(
+            { owner: ownerId },
+            { $setOnInsert: { owner: ownerId, reservedBytes: 0 } },
+            { upsert: true }
+        );
+    } catch (error) {
+        if (error?.code !== 11000) throw error;
+    }
+
+    const reserved = await UploadQuota.findOneAndUpdate(
+        { owner: ownerId, reservedBytes: { $lte: quota - bytes } },
+        { $inc: { reservedBytes: bytes } }
+    );
+
+    return Boolean(reserved);
+};
+
+/**
+ * Give reserved bytes back. Call it exactly once per reservation: only after the upload
+ * session was actually deleted by this request (its delete returned the document).
+ *
+ * @param {string|ObjectId} ownerId
+ * @param {number} bytes - Size of the upload that ended
+ */
+const releaseUploadQuota = (ownerId, bytes) =>
+    UploadQuota.updateOne({ owner: ownerId }, { $inc: { reservedBytes: -bytes } });
+
+export { reserveUploadQuota, releaseUploadQuota };
@@ -0,0 +1,49 @@
+// Import fs to remove the files of expired uploads
+import fs from "fs";
+
+import { UploadSession, notReceivingChunk } from "../models/uploadSession.model.js";
+import { releaseUploadQuota } from "./uploadQuota.js";
+
+/**
+ * Periodically remove expired resumable uploads: the session, its file, and its quota reservation.
+ * Each session is deleted with findOneAndDelete, so when several app instances sweep at once
+ * only the one that deleted it releases the quota.
+ *
+ * @param {Object} options
+ * @param {number} options.intervalMs - Time between two sweeps
+ * @returns {NodeJS.Timeout} - The timer, in case the caller wants to stop it
+ */
+const startUploadSessionSweeper = ({ intervalMs }) => {
+    const sweep = async () => {
+        try {
+            const expired = await UploadSession.find({ expiresAt: { $lte: new Date() } }).select("_id");
+
+            for (const { _id } of expired) {
+                // A chunk still being written is left alone until it finishes (it extends the upload anyway)
+                const session = await UploadSession.findOneAndDelete({
+                    _id,
+                    expiresAt: { $lte: new Date() },
+                    ...notReceivingChunk()
+                });
+                if (!session) continue;
+
+                await fs.promises.rm(session.filePath, { force: true });
+                await releaseUploadQuota(session.owner, session.size);
+            }
+        } catch (error) {
+            console.error("Error while removing expired uploads:", error);
+        }
+    };
+
+    // Clean up once right away (the server may have been down for a while), then on every interval
+    sweep();
+
+    const timer = setInterval(sweep, intervalMs);
+
+    // The timer alone must not keep the process alive
+    timer.unref();
+
+    return timer;
+};
+
+export { startUploadSessionSweeper };
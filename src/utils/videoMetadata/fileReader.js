@@ -0,0 +1,46 @@
+// Size of the blocks read from disk; small reads (box / element headers) are served from the last block
+const BLOCK_SIZE = 64 * 1024;
+
+/**
+ * Create a reader for random access to an open file, so containers can be parsed
+ * without loading a (possibly very large) video into memory.
+ *
+ * @param {fs.promises.FileHandle} handle - Open file
+ * @param {number} fileSize - Size of the file in bytes
+ * @returns {{ size: number, read: (position: number, length: number) => Promise<Buffer> }}
+ *          `read` may return fewer bytes than asked for at the end of the file
+ */
+const createFileReader = (handle, fileSize) => {
+    // Last block read: its start position in the file and its bytes
+    let blockStart = -1;
+    let block = Buffer.alloc(0);
+
+    const read = async (position, length) => {
+        if (position < 0 || position >= fileSize || length <= 0) {
+            return Buffer.alloc(0);
+        }
+
+        length = Math.min(length, fileSize - position);
+
+        // Served from the cached block
+        if (position >= blockStart && position + length <= blockStart + block.length) {
+            return block.subarray(position - blockStart, position - blockStart + length);
+        }
+
+        // Larger reads go straight to the file; smaller ones refill the cache
+        const readLength = Math.max(length, Math.min(BLOCK_SIZE, fileSize - position));
+        const buffer = Buffer.alloc(readLength);
+        const { bytesRead } = await handle.read(buffer, 0, readLength, position);
+
+        if (readLength <= BLOCK_SIZE) {
+            blockStart = position;
+            block = buffer.subarray(0, bytesRead);
+        }
+
+        return buffer.subarray(0, Math.min(length, bytesRead));
+    };
+
+    return { size: fileSize, read };
+};
+
+export { createFileReader };
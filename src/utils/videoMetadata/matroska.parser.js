@@ -0,0 +1,277 @@
+// Reader for WebM / Matroska files
+//
+// Such a file is a tree of EBML elements: a variable-length id, a variable-length size, then the
+// content. The parts used here:
+//   EBML header
+//   Segment
+//   ├── Info                       TimecodeScale (ns per tick) and Duration (in ticks)
+//   ├── Tracks/TrackEntry          TrackType (1 = video), CodecID, Video/PixelWidth and PixelHeight
+//   └── Cluster (many)             Timecode + SimpleBlock / BlockGroup, i.e. the actual frames
+//
+// Files recorded live (e.g. by a browser's MediaRecorder) often have no Duration; for those the
+// clusters are walked to find the timestamp of the last frame.
+
+// Element ids (with their length marker bits, as written in the file)
+const IDS = {
+    EBML: 0x1a45dfa3,
+    SEGMENT: 0x18538067,
+    INFO: 0x1549a966,
+    TIMECODE_SCALE: 0x2ad7b1,
+    DURATION: 0x4489,
+    TRACKS: 0x1654ae6b,
+    TRACK_ENTRY: 0xae,
+    TRACK_TYPE: 0x83,
+    CODEC_ID: 0x86,
+    VIDEO: 0xe0,
+    PIXEL_WIDTH: 0xb0,
+    PIXEL_HEIGHT: 0xba,
+    CLUSTER: 0x1f43b675,
+    TIMECODE: 0xe7,
+    SIMPLE_BLOCK: 0xa3,
+    BLOCK_GROUP: 0xa0,
+    BLOCK: 0xa1,
+    BLOCK_DURATION: 0x9b
+};
+
+// Info and Tracks are read into memory; anything larger is not a sane upload
+// (real ones are a few kilobytes, even with codec private data)
+const MAX_HEADER_ELEMENT_SIZE = 16 * 1024 * 1024;
+
+// Timecode and BlockDuration are unsigned integers, which EBML limits to 8 bytes
+const MAX_UINT_SIZE = 8;
+
+// Default TimecodeScale: one tick is a millisecond
+const DEFAULT_TIMECODE_SCALE = 1000000;
+
+// Matroska codec ids -> codec name
+const CODEC_NAMES = {
+    "V_MPEG4/ISO/AVC": "h264",
+    "V_MPEGH/ISO/HEVC": "h265",
+    V_VP8: "vp8",
+    V_VP9: "vp9",
+    V_AV1: "av1",
+    "V_MPEG4/ISO/ASP": "mpeg4"
+};
+
+// Track type of video tracks
+const VIDEO_TRACK = 1;
+
+/**
+ * Read an EBML variable-length integer at `offset`.
+ * The number of leading zero bits of the first byte gives the length (1 to 8 bytes).
+ *
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {boolean} keepMarker - true for element ids, which are compared with their marker bit
+ * @returns {{ value: number|null, length: number }|null} - value is null for "unknown" sizes (all ones);
+ *          null if the bytes are not a valid integer
+ */
+const readVint = (buffer, offset, keepMarker) => {
+    if (offset >= buffer.length) return null;
+
+    const first = buffer[offset];
+    let length = 1;
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+
+    if (length > 8 || offset + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (0xff >> length);
+    let allOnes = value === (0xff >> length);
+
+    for (let index = 1; index < length; index++) {
+        value = value * 256 + buffer[offset + index];
+        allOnes = allOnes && buffer[offset + index] === 0xff;
+    }
+
+    return { value: !keepMarker && allOnes ? null : value, length };
+};
+
+// Element header at `offset`: { id, size (null if unknown), dataStart (relative to `offset`) }
+const readElementHeader = (buffer, offset) => {
+    const id = readVint(buffer, offset, true);
+    if (!id) return null;
+
+    const size = readVint(buffer, offset + id.length, false);
+    if (!size) return null;
+
+    return { id: id.value, size: size.value, headerLength: id.length + size.length };
+};
+
+// Child elements of an in-memory element content
+const listElements = (buffer, start = 0, end = buffer.length) => {
+    const elements = [];
+    let offset = start;
+
+    while (offset < end) {
+        const header = readElementHeader(buffer, offset);
+        if (!header || header.size === null) break;
+
+        const dataStart = offset + header.headerLength;
+        const dataEnd = dataStart + header.size;
+        if (dataEnd > end) break;
+
+        elements.push({ id: header.id, start: dataStart, end: dataEnd });
+        offset = dataEnd;
+    }
+
+    return elements;
+};
+
+// Unsigned integer / float / text content of an element
+const readUint = (buffer, element) => {
+    let value = 0;
+    for (let index = element.start; index < element.end; index++) value = value * 256 + buffer[index];
+    return value;
+};
+
+const readFloat = (buffer, element) => {
+    const length = element.end - element.start;
+    if (length === 4) return buffer.readFloatBE(element.start);
+    if (length === 8) return buffer.readDoubleBE(element.start);
+    return 0;
+};
+
+const readString = (buffer, element) =>
+    buffer.toString("latin1", element.start, element.end).replace(/\0+$/, "");
+
+// TimecodeScale and Duration from the Info element
+const parseInfo = (buffer) => {
+    const info = { timecodeScale: DEFAULT_TIMECODE_SCALE, duration: 0 };
+
+    for (const element of listElements(buffer)) {
+        if (element.id === IDS.TIMECODE_SCALE) info.timecodeScale = readUint(buffer, element);
+        if (element.id === IDS.DURATION) info.duration = readFloat(buffer, element);
+    }
+
+    return info;
+};
+
+// Width, height and codec of the first video track in the Tracks element
+const parseTracks = (buffer) => {
+    for (const entry of listElements(buffer).filter((element) => element.id === IDS.TRACK_ENTRY)) {
+        const track = { type: 0, codec: null, width: 0, height: 0 };
+
+        for (const element of listElements(buffer, entry.start, entry.end)) {
+            if (element.id === IDS.TRACK_TYPE) track.type = readUint(buffer, element);
+            if (element.id === IDS.CODEC_ID) track.codec = readString(buffer, element);
+
+            if (element.id === IDS.VIDEO) {
+                for (const setting of listElements(buffer, element.start, element.end)) {
+                    if (setting.id === IDS.PIXEL_WIDTH) track.width = readUint(buffer, setting);
+                    if (setting.id === IDS.PIXEL_HEIGHT) track.height = readUint(buffer, setting);
+                }
+            }
+        }
+
+        if (track.type === VIDEO_TRACK) {
+            return {
+                width: track.width,
+                height: track.height,
+                codec: CODEC_NAMES[track.codec] ?? track.codec?.toLowerCase() ?? null
+            };
+        }
+    }
+
+    return null;
+};
+
+// Timestamp (in ticks, relative to its cluster) of a SimpleBlock / Block from its first bytes:
+// track number (variable-length integer), then a signed 16-bit timestamp
+const readBlockTimecode = (header) => {
+    const trackNumber = readVint(header, 0, false);
+    if (!trackNumber || header.length < trackNumber.length + 2) return null;
+
+    return header.readInt16BE(trackNumber.length);
+};
+
+/**
+ * Read duration, resolution and codec of a WebM / Matroska file.
+ *
+ * @param {{ size: number, read: Function }} reader - See fileReader.js
+ * @returns {Promise<Object|null>} - { duration, width, height, codec }, or null if the file
+ *          has no video track or its duration cannot be worked out
+ */
+const parseMatroska = async (reader) => {
+    // Header of the element at `position` of the file
+    const readHeaderAt = async (position) => {
+        const header = readElementHeader(await reader.read(position, 12), 0);
+        return header && { ...header, dataStart: position + header.headerLength };
+    };
+
+    // EBML header first, then the segment
+    const ebml = await readHeaderAt(0);
+    if (!ebml || ebml.id !== IDS.EBML || ebml.size === null) return null;
+
+    const segment = await readHeaderAt(ebml.dataStart + ebml.size);
+    if (!segment || segment.id !== IDS.SEGMENT) return null;
+
+    const segmentEnd = segment.size === null
+        ? reader.size
+        : Math.min(reader.size, segment.dataStart + segment.size);
+
+    let info = null;
+    let video = null;
+
+    // Latest frame timestamp seen in the clusters (only walked when Info has no Duration)
+    let clusterTimecode = 0;
+    let blockTimecode = null;
+    let lastTimecode = 0;
+
+    // One flat walk over the segment: Info and Tracks are read whole, clusters (and block groups)
+    // are entered so their children come next in the same loop; everything else is skipped
+    let position = segment.dataStart;
+
+    while (position < segmentEnd) {
+        const element = await readHeaderAt(position);
+        if (!element) break;
+
+        const { id, size, dataStart } = element;
+
+        if (id === IDS.INFO || id === IDS.TRACKS) {
+            if (size === null || size > MAX_HEADER_ELEMENT_SIZE) return null;
+
+            const content = await reader.read(dataStart, size);
+            if (id === IDS.INFO) info = parseInfo(content);
+            else video = parseTracks(content);
+        } else if (id === IDS.CLUSTER) {
+            // Info and Tracks come before the first cluster; the clusters are only needed for the duration
+            if (info?.duration) break;
+
+            position = dataStart;
+            continue;
+        } else if (id === IDS.BLOCK_GROUP) {
+            position = dataStart;
+            continue;
+        } else if ((id === IDS.TIMECODE || id === IDS.BLOCK_DURATION) && size > MAX_UINT_SIZE) {
+            return null;
+        } else if (id === IDS.TIMECODE && size !== null) {
+            clusterTimecode = readUint(await reader.read(dataStart, size), { start: 0, end: size });
+        } else if ((id === IDS.SIMPLE_BLOCK || id === IDS.BLOCK) && size !== null) {
+            const relative = readBlockTimecode(await reader.read(dataStart, Math.min(size, 10)));
+
+            if (relative !== null) {
+                blockTimecode = clusterTimecode + relative;
+                lastTimecode = Math.max(lastTimecode, blockTimecode);
+            }
+        } else if (id === IDS.BLOCK_DURATION && size !== null && blockTimecode !== null) {
+            const blockDuration = readUint(await reader.read(dataStart, size), { start: 0, end: size });
+            lastTimecode = Math.max(lastTimecode, blockTimecode + blockDuration);
+        }
+
+        // Elements of unknown size cannot be skipped
+        if (size === null) break;
+
+        position = dataStart + size;
+    }
+
+    if (!info || !video) return null;
+
+    const ticks = info.duration || lastTimecode;
+    const duration = (ticks * info.timecodeScale) / 1e9;
+
+    if (!duration) return null;
+
+    return { duration, ...video };
+};
+
+export { parseMatroska };
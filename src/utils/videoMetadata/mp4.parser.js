@@ -0,0 +1,210 @@
+// Reader for MP4 / QuickTime (ISO base media) files
+//
+// Such a file is a list of "boxes" (atoms): 4-byte size, 4-byte type, then the content,
+// which for container boxes is again a list of boxes. Everything needed here is in the `moov` box:
+//   moov
+//   ├── mvhd                       movie header: timescale and duration
+//   ├── mvex/mehd                  duration of fragmented files (where mvhd says 0)
+//   └── trak (one per track)
+//       ├── tkhd                   track header: display width and height
+//       └── mdia
+//           ├── hdlr               handler type: "vide" for video tracks
+//           └── minf/stbl/stsd     sample descriptions: codec four-character code
+
+// The movie box is read into memory; anything larger is not a sane upload
+const MAX_MOOV_SIZE = 100 * 1024 * 1024;
+
+// Four-character codes of common video codecs -> codec name
+const CODEC_NAMES = {
+    avc1: "h264",
+    avc3: "h264",
+    hvc1: "h265",
+    hev1: "h265",
+    vp08: "vp8",
+    vp09: "vp9",
+    av01: "av1",
+    mp4v: "mpeg4",
+    apcn: "prores",
+    apch: "prores"
+};
+
+// Read a box header at `offset` of `buffer`, or null if it does not fit before `end`
+const readBoxHeader = (buffer, offset, end) => {
+    if (offset + 8 > end) return null;
+
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+        // 64-bit size follows the type
+        if (offset + 16 > end) return null;
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        headerSize = 16;
+    } else if (size === 0) {
+        // Box extends to the end of its parent
+        size = end - offset;
+    }
+
+    if (size < headerSize || offset + size > end) return null;
+
+    return { type, start: offset + headerSize, end: offset + size };
+};
+
+// Child boxes of the content between `start` and `end`
+const listBoxes = (buffer, start, end) => {
+    const boxes = [];
+    let offset = start;
+
+    for (let box = readBoxHeader(buffer, offset, end); box; box = readBoxHeader(buffer, offset, end)) {
+        boxes.push(box);
+        offset = box.end;
+    }
+
+    return boxes;
+};
+
+// Follow a path of box types (e.g. ["mdia", "hdlr"]) from `parent`; null if any step is missing
+const findBox = (buffer, parent, path) => {
+    let box = parent;
+
+    for (const type of path) {
+        box = listBoxes(buffer, box.start, box.end).find((child) => child.type === type);
+        if (!box) return null;
+    }
+
+    return box;
+};
+
+// Duration in seconds from a timescale (units per second) and a duration in those units
+// An all-ones duration means "unknown"
+const toSeconds = (duration, timescale, bits) =>
+    timescale > 0 && duration !== 2 ** bits - 1 ? duration / timescale : 0;
+
+// Movie duration from mvhd (and mehd for fragmented files), in seconds
+const readMovieDuration = (buffer, moov) => {
+    const mvhd = findBox(buffer, moov, ["mvhd"]);
+    if (!mvhd) return null;
+
+    // Full box: 1 byte version, 3 bytes flags, then version-dependent field sizes
+    const version = buffer[mvhd.start];
+    const fields = mvhd.start + 4;
+    const timescale = buffer.readUInt32BE(fields + (version === 1 ? 16 : 8));
+    let duration = version === 1
+        ? toSeconds(Number(buffer.readBigUInt64BE(fields + 20)), timescale, 64)
+        : toSeconds(buffer.readUInt32BE(fields + 12), timescale, 32);
+
+    if (!duration) {
+        const mehd = findBox(buffer, moov, ["mvex", "mehd"]);
+
+        if (mehd) {
+            duration = buffer[mehd.start] === 1
+                ? toSeconds(Number(buffer.readBigUInt64BE(mehd.start + 4)), timescale, 64)
+                : toSeconds(buffer.readUInt32BE(mehd.start + 4), timescale, 32);
+        }
+    }
+
+    return duration;
+};
+
+// Width, height and codec of a video track, or null for other tracks (audio, subtitles, ...)
+const readVideoTrack = (buffer, trak) => {
+    const hdlr = findBox(buffer, trak, ["mdia", "hdlr"]);
+
+    // version/flags (4), pre_defined (4), then the handler type
+    if (!hdlr || buffer.toString("latin1", hdlr.start + 8, hdlr.start + 12) !== "vide") {
+        return null;
+    }
+
+    let width = 0;
+    let height = 0;
+
+    const tkhd = findBox(buffer, trak, ["tkhd"]);
+    if (tkhd) {
+        // Times, ids and duration (20 or 32 bytes), then 52 bytes of layout fields, then 16.16 fixed-point sizes
+        const sizeOffset = tkhd.start + 4 + (buffer[tkhd.start] === 1 ? 32 : 20) + 52;
+
+        if (sizeOffset + 8 <= tkhd.end) {
+            width = buffer.readUInt32BE(sizeOffset) >>> 16;
+            height = buffer.readUInt32BE(sizeOffset + 4) >>> 16;
+        }
+    }
+
+    let codec = null;
+
+    const stsd = findBox(buffer, trak, ["mdia", "minf", "stbl", "stsd"]);
+    if (stsd) {
+        // version/flags (4), entry count (4), then the first sample entry (itself a box)
+        const entry = readBoxHeader(buffer, stsd.start + 8, stsd.end);
+
+        if (entry) {
+            codec = CODEC_NAMES[entry.type] ?? entry.type.trim().toLowerCase();
+
+            // Visual sample entries repeat the coded size; use it when the track header has none
+            // (6 reserved, 2 data reference index, 16 pre-defined/reserved, then width and height)
+            if ((!width || !height) && entry.start + 28 <= entry.end) {
+                width = buffer.readUInt16BE(entry.start + 24);
+                height = buffer.readUInt16BE(entry.start + 26);
+            }
+        }
+    }
+
+    return { width, height, codec };
+};
+
+/**
+ * Read duration, resolution and codec of an MP4 / QuickTime file.
+ *
+ * @param {{ size: number, read: Function }} reader - See fileReader.js
+ * @returns {Promise<Object|null>} - { duration, width, height, codec }, or null if the file
+ *          has no readable movie header or no video track
+ */
+const parseMp4 = async (reader) => {
+    // Walk the top-level boxes (ftyp, mdat, moov, ...) until the movie box
+    let position = 0;
+    let moov = null;
+
+    while (position + 8 <= reader.size) {
+        const header = await reader.read(position, 16);
+
+        let size = header.readUInt32BE(0);
+        let headerSize = 8;
+
+        if (size === 1) {
+            if (header.length < 16) return null;
+            size = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = reader.size - position;
+        }
+
+        // Truncated or corrupt file
+        if (size < headerSize || position + size > reader.size) return null;
+
+        if (header.toString("latin1", 4, 8) === "moov") {
+            if (size > MAX_MOOV_SIZE) return null;
+
+            const content = await reader.read(position, size);
+            moov = { buffer: content, box: { start: headerSize, end: content.length } };
+            break;
+        }
+
+        position += size;
+    }
+
+    if (!moov) return null;
+
+    const { buffer, box } = moov;
+    const duration = readMovieDuration(buffer, box);
+
+    const video = listBoxes(buffer, box.start, box.end)
+        .filter((child) => child.type === "trak")
+        .map((trak) => readVideoTrack(buffer, trak))
+        .find(Boolean);
+
+    if (!duration || !video) return null;
+
+    return { duration, ...video };
+};
+
+export { parseMp4 };
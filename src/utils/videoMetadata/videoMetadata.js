@@ -0,0 +1,49 @@
+// Import fs to open the uploaded file
+import fs from "fs";
+
+import { createFileReader } from "./fileReader.js";
+import { parseMp4 } from "./mp4.parser.js";
+import { parseMatroska } from "./matroska.parser.js";
+import { detectFileType, FILE_TYPE_HEADER_LENGTH } from "../fileType.js";
+
+// Container parser by detected mime type
+const PARSERS = {
+    "video/mp4": parseMp4,
+    "video/quicktime": parseMp4,
+    "video/webm": parseMatroska,
+    "video/x-matroska": parseMatroska
+};
+
+/**
+ * Read the metadata of a video file by parsing its container (MP4 / MOV, WebM / MKV).
+ * Only the headers are read, never the whole file.
+ *
+ * @param {string} filePath - Path of the file on disk
+ * @returns {Promise<Object|null>} - { container, duration (seconds), width, height, codec, size (bytes) },
+ *          or null if the file is not a valid video container
+ */
+const readVideoMetadata = async (filePath) => {
+    const handle = await fs.promises.open(filePath, "r");
+
+    try {
+        const { size } = await handle.stat();
+        const reader = createFileReader(handle, size);
+
+        const type = detectFileType(await reader.read(0, FILE_TYPE_HEADER_LENGTH));
+        const parse = PARSERS[type?.mimeType];
+
+        if (!parse) return null;
+
+        const metadata = await parse(reader);
+
+        return metadata && { container: type.extension.slice(1), ...metadata, size };
+    } catch (error) {
+        // Out-of-range reads come from truncated or corrupt headers
+        if (error instanceof RangeError) return null;
+        throw error;
+    } finally {
+        await handle.close();
+    }
+};
+
+export { readVideoMetadata };
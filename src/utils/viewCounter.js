@@ -0,0 +1,156 @@
+// Import crypto to derive anonymous viewer fingerprints
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+import { View } from "../models/view.model.js";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+
+// Cookie that remembers an anonymous viewer
+const VIEWER_COOKIE = "viewerId";
+
+// Format of the cookie's value: a hex fingerprint (see getViewerKey) and its signature
+const VIEWER_COOKIE_PATTERN = /^([a-f0-9]{32})\.([A-Za-z0-9_-]{43})$/;
+
+// Secret signing the viewer cookie (VIEWER_COOKIE_SECRET); without it, cookies are neither set nor trusted
+const getViewerCookieSecret = () => process.env.VIEWER_COOKIE_SECRET;
+
+// Signature of a viewer id, so clients cannot make up new ids to be counted again
+const signViewerId = (viewerId, secret) =>
+    crypto.createHmac("sha256", secret).update(viewerId).digest("base64url");
+
+// Viewer id from a signed cookie, or null if there is none or its signature is wrong
+const readViewerCookie = (value, secret) => {
+    const match = typeof value === "string" ? value.match(VIEWER_COOKIE_PATTERN) : null;
+    if (!match) return null;
+
+    const expected = Buffer.from(signViewerId(match[1], secret));
+    const actual = Buffer.from(match[2]);
+
+    return crypto.timingSafeEqual(expected, actual) ? match[1] : null;
+};
+
+// A viewer is counted again only after this long (VIEW_DEDUP_WINDOW_HOURS, default 24 hours)
+const getViewDedupWindowMs = () => Number(process.env.VIEW_DEDUP_WINDOW_HOURS || 24) * 60 * 60 * 1000;
+
+// Videos kept in a user's watch history (WATCH_HISTORY_MAX_LENGTH, default 200); older ones drop off the end
+const getWatchHistoryMaxLength = () => Number(process.env.WATCH_HISTORY_MAX_LENGTH) || 200;
+
+/**
+ * Identify who is watching, to count their views once.
+ * Logged-in users are identified by their id. Anonymous viewers are identified by a fingerprint of
+ * their IP address and user agent, which is also kept in a signed cookie so a viewer stays the same
+ * when their address changes. Cookies the server did not sign are ignored.
+ *
+ * @param {Object} req - Express request (`req.user` is set for logged-in users)
+ * @param {Object} res - Express response, used to set the cookie
+ * @returns {string} - "user:<id>" or "anon:<fingerprint>"
+ */
+const getViewerKey = (req, res) => {
+    if (req.user) {
+        return `user:${req.user._id}`;
+    }
+
+    const secret = getViewerCookieSecret();
+    const viewerId = secret ? readViewerCookie(req.cookies?.[VIEWER_COOKIE], secret) : null;
+
+    if (viewerId) {
+        return `anon:${viewerId}`;
+    }
+
+    const fingerprint = crypto
+        .createHash("sha256")
+        .update(`${req.ip}|${req.get("user-agent") ?? ""}`)
+        .digest("hex")
+        .slice(0, 32);
+
+    if (secret) {
+        res.cookie(VIEWER_COOKIE, `${fingerprint}.${signViewerId(fingerprint, secret)}`, {
+            httpOnly: true,                      // Not readable by JavaScript running in the browser
+            secure: true,                        // Only sent over HTTPS, like the auth cookies
+            sameSite: "lax",
+            maxAge: 365 * 24 * 60 * 60 * 1000    // One year
+        });
+    }
+
+    return `anon:${fingerprint}`;
+};
+
+/**
+ * Count a view of a video, unless this viewer was already counted within the dedup window.
+ *
+ * @param {string|ObjectId} videoId
+ * @param {string} viewerKey - See getViewerKey
+ * @returns {Promise<boolean>} - true if the view was counted
+ */
+const countView = async (videoId, viewerKey) => {
+    const now = new Date();
+    const windowMs = getViewDedupWindowMs();
+
+    try {
+        // Matches the viewer's View document only if their last counted view is outside the window.
+        // Otherwise the upsert tries to insert a second document for the viewer, which the unique index
+        // rejects; concurrent requests of one viewer are settled the same way, so only one of them counts
+        const result = await View.updateOne(
+            {
+                video: videoId,
+                viewerKey,
+                lastCountedAt: { $lte: new Date(now.getTime() - windowMs) }
+            },
+            {
+                // Once the window is over the document is not needed any more and MongoDB removes it
+                $set: { lastCountedAt: now, expiresAt: new Date(now.getTime() + windowMs) },
+                $setOnInsert: { video: videoId, viewerKey }
+            },
+            { upsert: true }
+        );
+
+        if (result.modifiedCount !== 1 && result.upsertedCount !== 1) return false;
+    } catch (error) {
+        // Already counted within the window
+        if (error?.code === 11000) return false;
+        throw error;
+    }
+
+    // $inc is atomic, so concurrent views of different viewers are all counted
+    await Video.updateOne({ _id: videoId }, { $inc: { views: 1 } });
+
+    return true;
+};
+
+/**
+ * Put a video at the front of a user's watch history, removing its earlier entry and
+ * dropping the oldest entries past the maximum length. Done in one update, so concurrent
+ * requests cannot lose entries or add duplicates.
+ *
+ * @param {string|ObjectId} userId
+ * @param {string|ObjectId} videoId
+ */
+const addToWatchHistory = (userId, videoId) => {
+    const id = new mongoose.Types.ObjectId(videoId);
+
+    return User.updateOne({ _id: userId }, [
+        {
+            $set: {
+                watchHistory: {
+                    $slice: [
+                        {
+                            $concatArrays: [
+                                [id],
+                                {
+                                    $filter: {
+                                        input: { $ifNull: ["$watchHistory", []] },
+                                        cond: { $ne: ["$$this", id] }
+                                    }
+                                }
+                            ]
+                        },
+                        getWatchHistoryMaxLength()
+                    ]
+                }
+            }
+        }
+    ]);
+};
+
+export { getViewerKey, countView, addToWatchHistory };
@@ -0,0 +1,37 @@
+// Request schemas for the admin routes (see rules.js for the format)
+import { USER_ROLES } from "../models/user.model.js";
+import { paginationQuery, objectIdParams } from "./common.validate.js";
+
+// Optional note explaining a moderation action
+const reason = { type: "string", maxLength: 500 };
+
+export const getUsersSchema = {
+    query: {
+        ...paginationQuery,
+        query: { type: "string" },
+        role: { type: "string", enum: USER_ROLES },
+        suspended: { type: "boolean" }
+    }
+};
+
+export const userIdSchema = {
+    params: objectIdParams("userId")
+};
+
+export const suspendUserSchema = {
+    params: objectIdParams("userId"),
+    body: { reason }
+};
+
+export const changeUserRoleSchema = {
+    params: objectIdParams("userId"),
+    body: {
+        role: { type: "string", required: true, enum: USER_ROLES }
+    }
+};
+
+// Taking a video down and restoring it
+export const moderateVideoSchema = {
+    params: objectIdParams("videoId"),
+    body: { reason }
+};
@@ -0,0 +1,38 @@
+// Request schemas for the comment routes (see rules.js for the format)
+import { paginationQuery, objectIdParams } from "./common.validate.js";
+
+// Ways a client can sort the comments of a video
+export const COMMENT_SORT_OPTIONS = ["newest", "top"];
+
+// Same limit as the Comment model
+const content = { type: "string", required: true, maxLength: 1000 };
+
+export const getVideoCommentsSchema = {
+    params: objectIdParams("videoId"),
+    query: {
+        ...paginationQuery,
+        sortBy: { type: "string", enum: COMMENT_SORT_OPTIONS }
+    }
+};
+
+export const getCommentRepliesSchema = {
+    params: objectIdParams("commentId"),
+    query: paginationQuery
+};
+
+export const addCommentSchema = {
+    params: objectIdParams("videoId"),
+    body: {
+        content,
+        parentCommentId: { type: "objectId" }
+    }
+};
+
+export const updateCommentSchema = {
+    params: objectIdParams("commentId"),
+    body: { content }
+};
+
+export const commentIdSchema = {
+    params: objectIdParams("commentId")
+};
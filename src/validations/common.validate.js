@@ -0,0 +1,12 @@
+// Field descriptors shared by many request schemas (see rules.js for the format)
+
+// `page` and `limit` query parameters of paginated listings
+// Only their format is checked here; getPaginationOptions() still caps `limit`
+export const paginationQuery = {
+    page: { type: "int", min: 1 },
+    limit: { type: "int", min: 1 }
+};
+
+// Route params that must all be ObjectIds, e.g. objectIdParams("playlistId", "videoId")
+export const objectIdParams = (...names) =>
+    Object.fromEntries(names.map((name) => [name, { type: "objectId", required: true }]));
@@ -0,0 +1,9 @@
+// Request schemas for the feed routes (see rules.js for the format)
+
+// `cursor` is the opaque `nextCursor` of the previous page; the controller decodes it
+export const subscriptionFeedSchema = {
+    query: {
+        cursor: { type: "string" },
+        limit: { type: "int", min: 1 }
+    }
+};
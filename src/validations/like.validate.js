@@ -0,0 +1,18 @@
+// Request schemas for the like routes (see rules.js for the format)
+import { LIKE_REACTIONS } from "../models/like.model.js";
+import { paginationQuery, objectIdParams } from "./common.validate.js";
+
+// `reaction` defaults to "like" when it is not sent
+const reactionBody = {
+    reaction: { type: "string", enum: LIKE_REACTIONS }
+};
+
+export const toggleVideoLikeSchema = { params: objectIdParams("videoId"), body: reactionBody };
+export const toggleCommentLikeSchema = { params: objectIdParams("commentId"), body: reactionBody };
+export const togglePostLikeSchema = { params: objectIdParams("postId"), body: reactionBody };
+
+export const videoLikesSchema = { params: objectIdParams("videoId") };
+export const commentLikesSchema = { params: objectIdParams("commentId") };
+export const postLikesSchema = { params: objectIdParams("postId") };
+
+export const likedVideosSchema = { query: paginationQuery };
@@ -0,0 +1,42 @@
+// Request schemas for the playlist routes (see rules.js for the format)
+import { PLAYLIST_VISIBILITIES } from "../models/playlist.model.js";
+import { objectIdParams } from "./common.validate.js";
+
+// Same limits as the Playlist model
+const name = { type: "string", maxLength: 100 };
+const description = { type: "string", maxLength: 1000 };
+const visibility = { type: "string", enum: PLAYLIST_VISIBILITIES };
+
+export const createPlaylistSchema = {
+    body: {
+        name: { ...name, required: true },
+        description,
+        visibility
+    }
+};
+
+// All fields are optional; the controller checks that at least one change was sent
+export const updatePlaylistSchema = {
+    params: objectIdParams("playlistId"),
+    body: { name, description, visibility }
+};
+
+export const playlistIdSchema = {
+    params: objectIdParams("playlistId")
+};
+
+export const userPlaylistsSchema = {
+    params: objectIdParams("userId")
+};
+
+export const playlistVideoSchema = {
+    params: objectIdParams("playlistId", "videoId")
+};
+
+// `position` is 0-based; the controller checks it against the playlist length
+export const movePlaylistVideoSchema = {
+    params: objectIdParams("playlistId", "videoId"),
+    body: {
+        position: { type: "int", required: true, min: 0 }
+    }
+};
@@ -0,0 +1,23 @@
+// Request schemas for the community post routes (see rules.js for the format)
+import { objectIdParams } from "./common.validate.js";
+
+// Maximum number of characters allowed in a community post
+export const POST_MAX_LENGTH = 500;
+
+// Content rules shared by creating and editing a post
+const postBody = {
+    content: { type: "string", required: true, maxLength: POST_MAX_LENGTH }
+};
+
+export const createPostSchema = {
+    body: postBody
+};
+
+export const updatePostSchema = {
+    params: objectIdParams("postId"),
+    body: postBody
+};
+
+export const postIdSchema = {
+    params: objectIdParams("postId")
+};
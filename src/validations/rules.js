@@ -0,0 +1,192 @@
+// Field rules shared by every request schema
+//
+// A schema describes each field of a request part (body, params or query) the way a Mongoose
+// schema describes a document field, for example:
+//
+//     email: { type: "email", required: true }
+//     name: { type: "string", required: true, maxLength: 100 }
+//     sortBy: { type: "string", enum: ["newest", "top"] }
+//     page: { type: "int", min: 1 }
+//
+// Every check returns a list of errors shaped like `{ field, code, message }` (empty when valid).
+
+// Allowed characters of a username (letters, numbers, underscores)
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]+$/;
+
+// A basic e-mail check (simple but widely effective)
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+// 24 hexadecimal characters; stricter than mongoose's isValidObjectId, which accepts any 12-char string
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+// Special characters a password must contain at least one of
+const PASSWORD_SPECIAL_PATTERN = /[!@#$%^&*()_+{}\[\]:;<>,.?~\\/-]/;
+
+// Values treated as "not provided"
+const isMissing = (value) =>
+    value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+// ---- Type checks ----
+// Each receives the (present) value, the field name and the field descriptor
+
+// Plain text, optionally limited in length (measured on the trimmed text, which is what is stored).
+// Enum values must match exactly, untrimmed: controllers use them as they are (roles, sort fields, ...)
+const checkString = (value, field, { minLength, maxLength, enum: allowed, pattern, patternMessage }) => {
+    if (typeof value !== "string") {
+        return [{ field, code: "invalid_type", message: `${field} must be a string.` }];
+    }
+
+    const text = value.trim();
+
+    if (allowed && !allowed.includes(value)) {
+        return [{ field, code: "invalid_value", message: `${field} must be one of: ${allowed.join(", ")}.` }];
+    }
+
+    if (minLength !== undefined && text.length < minLength) {
+        return [{ field, code: "too_short", message: `${field} must be at least ${minLength} characters.` }];
+    }
+
+    if (maxLength !== undefined && text.length > maxLength) {
+        return [{ field, code: "too_long", message: `${field} must be at most ${maxLength} characters.` }];
+    }
+
+    if (pattern && !pattern.test(text)) {
+        return [{ field, code: "invalid_format", message: patternMessage || `${field} has an invalid format.` }];
+    }
+
+    return [];
+};
+
+// Username: same rules as registration has always used
+const checkUsername = (value, field) => {
+    if (typeof value !== "string") {
+        return [{ field, code: "invalid_type", message: `${field} must be a string.` }];
+    }
+
+    if (!USERNAME_PATTERN.test(value)) {
+        return [{
+            field,
+            code: "invalid_format",
+            message: `${field} can only contain letters, numbers, and underscores.`
+        }];
+    }
+
+    if (value.length < 3 || value.length > 30) {
+        return [{ field, code: "invalid_length", message: `${field} must be between 3 and 30 characters.` }];
+    }
+
+    return [];
+};
+
+// E-mail address (surrounding whitespace is ignored, controllers trim it)
+const checkEmail = (value, field) => {
+    if (typeof value !== "string" || !EMAIL_PATTERN.test(value.trim())) {
+        return [{ field, code: "invalid_email", message: `${field} must be a valid email address.` }];
+    }
+
+    return [];
+};
+
+// Password strength; unlike the other checks every broken rule is reported
+const checkPassword = (value, field) => {
+    if (typeof value !== "string") {
+        return [{ field, code: "invalid_type", message: `${field} must be a string.` }];
+    }
+
+    const errors = [];
+
+    // Check if password length is between 8 and 100 characters
+    if (value.length < 8 || value.length > 100) {
+        errors.push({ field, code: "invalid_length", message: `${field} must be between 8 and 100 characters.` });
+    }
+    // Ensure password includes at least one uppercase letter
+    if (!/[A-Z]/.test(value)) {
+        errors.push({ field, code: "missing_uppercase", message: `${field} must contain at least one uppercase letter.` });
+    }
+    // Ensure password includes at least one lowercase letter
+    if (!/[a-z]/.test(value)) {
+        errors.push({ field, code: "missing_lowercase", message: `${field} must contain at least one lowercase letter.` });
+    }
+    // Ensure password includes at least one number
+    if (!/[0-9]/.test(value)) {
+        errors.push({ field, code: "missing_number", message: `${field} must contain at least one number.` });
+    }
+    // Ensure password includes at least one special character from the listed set
+    if (!PASSWORD_SPECIAL_PATTERN.test(value)) {
+        errors.push({ field, code: "missing_special_character", message: `${field} must contain at least one special character.` });
+    }
+
+    return errors;
+};
+
+// MongoDB ObjectId given as a string (route params, ids in bodies)
+const checkObjectId = (value, field) => {
+    if (typeof value !== "string" || !OBJECT_ID_PATTERN.test(value)) {
+        return [{ field, code: "invalid_id", message: `${field} must be a valid id.` }];
+    }
+
+    return [];
+};
+
+// Whole number; query strings arrive as text, so numeric strings are accepted too
+const checkInt = (value, field, { min, max }) => {
+    const number = typeof value === "string" ? Number(value.trim()) : value;
+
+    if (!Number.isInteger(number)) {
+        return [{ field, code: "invalid_number", message: `${field} must be a whole number.` }];
+    }
+
+    if ((min !== undefined && number < min) || (max !== undefined && number > max)) {
+        const range = max === undefined ? `at least ${min}` : min === undefined ? `at most ${max}` : `between ${min} and ${max}`;
+        return [{ field, code: "out_of_range", message: `${field} must be ${range}.` }];
+    }
+
+    return [];
+};
+
+// true / false, also as the strings "true" / "false" used in query strings
+const checkBoolean = (value, field) => {
+    if (![true, false, "true", "false"].includes(value)) {
+        return [{ field, code: "invalid_type", message: `${field} must be either true or false.` }];
+    }
+
+    return [];
+};
+
+// Type name used in schemas -> check
+const FIELD_TYPES = {
+    string: checkString,
+    username: checkUsername,
+    email: checkEmail,
+    password: checkPassword,
+    objectId: checkObjectId,
+    int: checkInt,
+    boolean: checkBoolean
+};
+
+/**
+ * Check one value against its field descriptor.
+ *
+ * @param {string} field - Field name, used in the error messages
+ * @param {*} value - Value sent by the client
+ * @param {Object} descriptor - e.g. { type: "string", required: true, maxLength: 100 }
+ * @returns {Array<{ field: string, code: string, message: string }>} - Errors, empty if valid
+ */
+const checkField = (field, value, descriptor) => {
+    // Missing optional fields are fine; missing required fields are the only error reported for them
+    if (isMissing(value)) {
+        return descriptor.required
+            ? [{ field, code: "required", message: `${field} is required and should not be empty.` }]
+            : [];
+    }
+
+    const check = FIELD_TYPES[descriptor.type];
+
+    if (!check) {
+        throw new Error(`Unknown validation type "${descriptor.type}" for field "${field}"`);
+    }
+
+    return check(value, field, descriptor);
+};
+
+export { checkField };
@@ -0,0 +1,21 @@
+// Request schemas for the resumable upload routes (see rules.js for the format)
+import { objectIdParams } from "./common.validate.js";
+import { CHECKSUM_PATTERN } from "../utils/resumableUpload.js";
+
+// The size limit and the user's quota are checked by the controller (they depend on configuration)
+export const createUploadSchema = {
+    body: {
+        size: { type: "int", min: 1, required: true },
+        filename: { type: "string", maxLength: 255 },
+        checksum: {
+            type: "string",
+            pattern: CHECKSUM_PATTERN,
+            patternMessage: "checksum must be \"<sha1|sha256|md5> <base64 digest>\"."
+        }
+    }
+};
+
+// Chunks carry their offset and checksum in headers, which the controller checks
+export const uploadIdSchema = {
+    params: objectIdParams("uploadId")
+};
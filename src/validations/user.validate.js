@@ -1,74 +1,111 @@
+// Request schemas for the user routes (see rules.js for the format)
+// The username, e-mail and password rules live in rules.js so every route enforces the same ones
+import { paginationQuery, objectIdParams } from "./common.validate.js";
 
-// This function takes user input data and returns an array of error messages (if any validations fail)
-export const validateRegistrationInput = (data = {}) => {
-    // Destructure fields from the input object, defaulting to empty strings to avoid undefined issues
-    const { fullName = "", username = "", email = "", password = "" } = data;
+// Full name rules shared by registration and account updates
+const fullName = { type: "string", required: true, minLength: 3, maxLength: 50 };
 
-    // Initialize an array to store validation error messages
-    const errors = [];
+// A TOTP code or a recovery code; their actual format is checked when they are verified
+const secondFactorCode = { type: "string", maxLength: 32 };
 
-    // ---- Full Name Validation ----
-    // Check if fullName is empty after trimming whitespace
-    if (!fullName.trim()) {
-        errors.push("- fullName is required and should not be empty.");
+export const registerUserSchema = {
+    body: {
+        fullName,
+        username: { type: "username", required: true },
+        email: { type: "email", required: true },
+        password: { type: "password", required: true }
     }
-    // Check if fullName length is between 3 and 50 characters
-    else if (fullName.length < 3 || fullName.length > 50) {
-        errors.push("- fullName must be between 3 and 50 characters.");
+};
+
+// Either `email` or `username` identifies the account; the controller checks that one is present
+export const loginUserSchema = {
+    body: {
+        email: { type: "email" },
+        username: { type: "string" },
+        password: { type: "string", required: true }
+    }
+};
+
+// The controller checks that either `code` or `recoveryCode` is present
+export const verifyTwoFactorLoginSchema = {
+    body: {
+        challengeToken: { type: "string", required: true },
+        code: secondFactorCode,
+        recoveryCode: secondFactorCode
+    }
+};
+
+export const changePasswordSchema = {
+    body: {
+        currentPassword: { type: "string", required: true },
+        newPassword: { type: "password", required: true }
+    }
+};
+
+export const forgotPasswordSchema = {
+    body: {
+        email: { type: "email", required: true }
     }
+};
 
-    // ---- Username Validation ----
-    // Check if username is empty after trimming
-    if (!username.trim()) {
-        errors.push("- username is required and should not be empty.");
+export const resetPasswordSchema = {
+    body: {
+        token: { type: "string", required: true },
+        newPassword: { type: "password", required: true }
     }
-    // Check if username contains only letters, numbers, and underscores
-    else if (!/^[a-zA-Z0-9_]+$/.test(username)) {
-        errors.push("- username can only contain letters, numbers, and underscores.");
+};
+
+export const verifyEmailSchema = {
+    body: {
+        token: { type: "string", required: true }
     }
-    // Ensure username length is within valid limits
-    else if (username.length < 3 || username.length > 30) {
-        errors.push("- username must be between 3 and 30 characters.");
+};
+
+export const changeAccountDetailsSchema = {
+    body: {
+        fullName,
+        email: { type: "email", required: true }
     }
+};
 
-    // ---- Email Validation ----
-    // Check if email is empty after trimming
-    if (!email.trim()) {
-        errors.push("- email is required and should not be empty.");
+export const confirmTwoFactorSchema = {
+    body: {
+        code: { ...secondFactorCode, required: true }
     }
-    // Use a basic regex to validate email format (simple but widely effective)
-    else if (!/^\S+@\S+\.\S+$/.test(email)) {
-        errors.push("- email must be a valid email address.");
+};
+
+// The controller checks that either `code` or `recoveryCode` is present
+export const disableTwoFactorSchema = {
+    body: {
+        password: { type: "string", required: true },
+        code: secondFactorCode,
+        recoveryCode: secondFactorCode
     }
+};
+
+export const sessionIdSchema = {
+    params: objectIdParams("sessionId")
+};
 
-    // ---- Password Validation ----
-    // Check if password is empty after trimming
-    if (!password.trim()) {
-        errors.push("- password is required and should not be empty.");
-    } else {
-        // Check if password length is between 8 and 100 characters
-        if (password.length < 8 || password.length > 100) {
-            errors.push("- password must be between 8 and 100 characters.");
-        }
-        // Ensure password includes at least one uppercase letter
-        if (!/[A-Z]/.test(password)) {
-            errors.push("- password must contain at least one uppercase letter.");
-        }
-        // Ensure password includes at least one lowercase letter
-        if (!/[a-z]/.test(password)) {
-            errors.push("- password must contain at least one lowercase letter.");
-        }
-        // Ensure password includes at least one number
-        if (!/[0-9]/.test(password)) {
-            errors.push("- password must contain at least one number.");
-        }
-        // Ensure password includes at least one special character from the listed set
-        if (!/[!@#$%^&*()_+{}\[\]:;<>,.?~\\/-]/.test(password)) {
-            errors.push("- password must contain at least one special character.");
-        }
+export const channelIdSchema = {
+    body: {
+        channelId: { type: "objectId", required: true }
     }
+};
+
+export const channelProfileSchema = {
+    params: {
+        username: { type: "string", required: true }
+    }
+};
+
+// Paginated lists under /channel/:username (subscribers, posts)
+export const channelListSchema = {
+    params: channelProfileSchema.params,
+    query: paginationQuery
+};
 
-    // Return the array of error messages
-    // If empty, input is valid; if not, errors should be shown to the user
-    return errors;
-};
\ No newline at end of file
+export const userSubscriptionsSchema = {
+    params: objectIdParams("id"),
+    query: paginationQuery
+};
@@ -0,0 +1,39 @@
+// Request schemas for the video routes (see rules.js for the format)
+import { paginationQuery, objectIdParams } from "./common.validate.js";
+
+// Fields a client is allowed to sort the video listing by
+export const VIDEO_SORTABLE_FIELDS = ["createdAt", "views", "duration"];
+
+export const getAllVideosSchema = {
+    query: {
+        ...paginationQuery,
+        query: { type: "string" },
+        userId: { type: "objectId" },
+        username: { type: "string" },
+        sortBy: { type: "string", enum: VIDEO_SORTABLE_FIELDS },
+        sortType: { type: "string", enum: ["asc", "desc"] }
+    }
+};
+
+// The files themselves are checked by the controller (they are not part of req.body)
+// `uploadId` replaces the videoFile when the video was sent as a resumable upload
+export const publishVideoSchema = {
+    body: {
+        title: { type: "string", required: true },
+        description: { type: "string", required: true },
+        uploadId: { type: "objectId" }
+    }
+};
+
+// All fields are optional; the controller checks that at least one change was sent
+export const updateVideoSchema = {
+    params: objectIdParams("videoId"),
+    body: {
+        title: { type: "string" },
+        description: { type: "string" }
+    }
+};
+
+export const videoIdSchema = {
+    params: objectIdParams("videoId")
+};